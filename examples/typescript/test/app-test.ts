@@ -1,11 +1,14 @@
 import { stub } from 'sinon'
 import { assert } from 'chai';
 
+import { getImports } from 'babel-plugin-mockable-imports/lib/helpers';
+
 import * as app from '../src/app';
-import { getImports } from './mock';
 
 const { runApp } = app;
-const $imports = getImports(app);
+const $imports = getImports<{
+  './logger': typeof import('../src/logger');
+}>(app);
 
 describe('runApp', () => {
   afterEach(() => {
@@ -0,0 +1,301 @@
+/**
+ * Type declarations for the helpers used by modules processed by
+ * babel-plugin-mockable-imports and by tests which mock their imports.
+ *
+ * `ImportMap` and the helpers which return it are generic over an `Imports`
+ * type which maps module paths, as used by the module being tested, to the
+ * type of that module's exports. For example:
+ *
+ * ```ts
+ * import * as app from '../src/app';
+ *
+ * const $imports = getImports<{
+ *   './logger': typeof import('../src/logger');
+ * }>(app);
+ * ```
+ *
+ * If `Imports` is omitted, mocks are not type-checked. Mocks keyed by the
+ * absolute path or URL of a module, rather than the specifier used to import
+ * it, can only be used if `Imports` is omitted.
+ */
+
+export interface MockingErrorDetails {
+  module?: string | null;
+  source?: string | null;
+  symbol?: string | null;
+  availableSources?: string[];
+  availableSymbols?: string[];
+  suggestion?: string | null;
+}
+
+/**
+ * Error thrown when mocks are used incorrectly.
+ */
+export class MockingError extends Error {
+  constructor(msg: string, details?: MockingErrorDetails);
+
+  /** Filename or URL of the module under test, if known. */
+  module: string | null;
+  /** Module path of the mock that caused the error. */
+  source: string | null;
+  /** Export name of the mock that caused the error. */
+  symbol: string | null;
+  /** Module paths that the module under test imports. */
+  availableSources: string[];
+  /** Symbols that the module under test imports from `source`. */
+  availableSymbols: string[];
+  /** Source or symbol that `source` or `symbol` may be a misspelling of. */
+  suggestion: string | null;
+}
+
+/**
+ * Default `Imports` type for `ImportMap`, which allows any mocks.
+ */
+export type AnyImports = Record<string, any>;
+
+/**
+ * Mocks for a module whose exports have type `Exports`.
+ *
+ * This is either an object mapping export names to mock values, or a mock
+ * for the module's default export.
+ */
+export type ModuleMocks<Exports> =
+  | { [Name in keyof Exports]?: Exports[Name] }
+  | (Exports extends { default: infer Default } ? Default : never);
+
+/**
+ * Argument to `ImportMap.$mock` which maps module paths to mocks.
+ */
+export type ImportMocks<Imports> = {
+  [Source in keyof Imports]?: ModuleMocks<Imports[Source]>;
+};
+
+/**
+ * Function which returns a mock for an import, or `null`/`undefined` to leave
+ * the import unmocked.
+ */
+export type MockFactory = (
+  source: string,
+  symbol: string,
+  value: unknown,
+) => unknown;
+
+/**
+ * Argument to `ImportMap.$restore` which specifies the mocks to restore.
+ */
+export type RestoreSpec<Imports> = {
+  [Source in keyof Imports]?:
+    | boolean
+    | { [Name in keyof Imports[Source]]?: boolean };
+};
+
+/**
+ * Function which removes a layer of mocks installed by `ImportMap.$mock`.
+ *
+ * In environments which support it, the handle can also be disposed using
+ * `Symbol.dispose`, eg. via a `using` declaration. The dispose method is only
+ * declared if the project's TypeScript `lib` setting declares
+ * `Symbol.dispose`.
+ */
+export type MockHandle = (() => void) & DisposableMember;
+
+/**
+ * `[Symbol.dispose]` member of a `MockHandle`, or an empty type if
+ * `Symbol.dispose` is not declared.
+ *
+ * This avoids referencing the `esnext.disposable` lib, which would add it to
+ * every project using these declarations and fail in versions of TypeScript
+ * which do not have it.
+ */
+type DisposableMember = typeof Symbol extends {
+  dispose: infer DisposeSymbol extends symbol;
+}
+  ? { [Key in DisposeSymbol]: () => void }
+  : {};
+
+/**
+ * Pattern matching import sources for `ImportMap.$mockAll`.
+ */
+export type Pattern =
+  | string
+  | RegExp
+  | ((source: string, symbol: string) => boolean);
+
+export interface MockOptions {
+  /**
+   * Whether mocks for namespace imports are merged with the original
+   * namespace. Defaults to `true`.
+   */
+  mergeNamespaces?: boolean;
+}
+
+export interface MockAllOptions {
+  /** Only mock imports from sources that match these patterns. */
+  include?: Pattern | Pattern[];
+  /** Do not mock imports from sources that match these patterns. */
+  exclude?: Pattern | Pattern[];
+}
+
+export interface ActiveMock {
+  alias: string;
+  source: string;
+  symbol: string;
+}
+
+export interface TraceEntry {
+  alias: string;
+  source: string;
+  symbol: string;
+  mocked: boolean;
+  count: number;
+}
+
+/**
+ * Argument to `ImportMap.$spy` which maps module paths to the names of the
+ * exports to spy on.
+ */
+export type SpySpec<Imports> = {
+  [Source in keyof Imports]?: Array<keyof Imports[Source] & string>;
+};
+
+/**
+ * Call recorded by a spy installed with `ImportMap.$spy`.
+ */
+export interface SpyCall {
+  args: unknown[];
+  thisValue: unknown;
+  /** Value returned by the original function, if it returned. */
+  returnValue?: unknown;
+  /** Error thrown by the original function, if it threw. */
+  error?: unknown;
+}
+
+/**
+ * Metadata about an import: the module it came from, the name of the export
+ * and its original value.
+ */
+export type ImportMeta = [
+  source: string,
+  symbol: string,
+  value?: unknown,
+  resolvedSource?: string,
+];
+
+/**
+ * Object exposed by modules that have been processed by this plugin.
+ *
+ * See `helpers.js` for documentation of each method.
+ */
+export class ImportMap<Imports extends object = AnyImports> {
+  constructor(imports?: Record<string, ImportMeta>);
+
+  $meta: Record<string, ImportMeta>;
+
+  $add(
+    alias: string,
+    source: string,
+    symbol: string,
+    value?: unknown,
+    resolvedSource?: string,
+  ): void;
+
+  $addLive(
+    alias: string,
+    source: string,
+    symbol: string,
+    getValue: () => unknown,
+    resolvedSource?: string,
+  ): void;
+
+  $addReExport(name: string, alias: string): void;
+
+  $mock(imports: ImportMocks<Imports>, options?: MockOptions): MockHandle;
+  $mock(factory: MockFactory, options?: MockOptions): MockHandle;
+
+  $mockValue<T>(original: T, mock: T): MockHandle;
+
+  $spy(imports: SpySpec<Imports>): MockHandle;
+
+  $original<
+    Source extends keyof Imports & string,
+    Name extends keyof Imports[Source] & string,
+  >(source: Source, symbol: Name): Imports[Source][Name];
+
+  $withMocks<T>(imports: ImportMocks<Imports> | MockFactory, fn: () => T): T;
+
+  $mockAll(options?: MockAllOptions): MockHandle;
+
+  $restore(imports?: RestoreSpec<Imports>): void;
+
+  $verifyMocksUsed(): void;
+
+  $activeMocks(): ActiveMock[];
+
+  $trace(enabled?: boolean): void;
+
+  $takeTrace(): TraceEntry[];
+
+  /** Current values of the module's imports, keyed by local name. */
+  [alias: string]: any;
+}
+
+export function registerImports(key: string, imports: ImportMap<any>): void;
+
+/**
+ * Return the `ImportMap` for a module.
+ *
+ * @param module - The module's namespace object (`import * as module from
+ *   '...'`), or an absolute path, URL or trailing part of the path of a module
+ *   whose imports were registered with `registerImports`.
+ */
+export function getImports<Imports extends object = AnyImports>(
+  module: object | string,
+): ImportMap<Imports>;
+
+/**
+ * Mock a module in every module that imports it, including modules loaded
+ * later.
+ *
+ * @param module - Specifier used to import the module, or the absolute path,
+ *   URL or trailing part of the path of the module
+ */
+export function mockModule(
+  module: string | { href: string },
+  mocks: ModuleMocks<any>,
+): MockHandle;
+
+export function restoreModule(module: string | { href: string }): void;
+
+/**
+ * Mock the imports of a module before it is loaded.
+ *
+ * @param module - Absolute path, URL or trailing part of the path of the
+ *   module whose imports should be mocked
+ * @param imports - Mocks in the same format as the argument to
+ *   `ImportMap.$mock`
+ */
+export function preMock<Imports extends object = AnyImports>(
+  module: string | { href: string },
+  imports: ImportMocks<Imports>,
+): MockHandle;
+
+export function restoreAllMocks(): void;
+
+export function getActiveMocks(): Array<ActiveMock & { module: string | null }>;
+
+export function assertNoActiveMocks(): void;
+
+export function verifyAllMocksUsed(): void;
+
+export interface CleanUpOptions {
+  /** Throw an error if the test did not restore the mocks it installed. */
+  checkActiveMocks?: boolean;
+  /** Throw an error if any mocks were installed but not used. */
+  checkUnusedMocks?: boolean;
+}
+
+/**
+ * Restore all mocks at the end of a test, optionally checking that mocks
+ * were used and restored by the test.
+ */
+export function cleanUpMocks(options?: CleanUpOptions): void;
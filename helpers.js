@@ -1,6 +1,39 @@
+/**
+ * Details of a `MockingError`.
+ *
+ * @typedef MockingErrorDetails
+ * @prop {string|null} [module] - Filename or URL of the module under test, if
+ *   its imports were registered with `registerImports`
+ * @prop {string|null} [source] - Module path of the mock that caused the error
+ * @prop {string|null} [symbol] - Export name of the mock that caused the error
+ * @prop {string[]} [availableSources] - Module paths that the module under
+ *   test imports
+ * @prop {string[]} [availableSymbols] - Symbols that the module under test
+ *   imports from `source`
+ * @prop {string|null} [suggestion] - Source or symbol that the caller may have
+ *   meant, if `source` or `symbol` looks like a misspelling of one
+ */
+
+/**
+ * Error thrown when mocks are used incorrectly.
+ *
+ * Details of the problem are available as properties of the error, in
+ * addition to the message.
+ */
 export class MockingError extends Error {
-  constructor(msg) {
+  /**
+   * @param {string} msg
+   * @param {MockingErrorDetails} [details]
+   */
+  constructor(msg, details = {}) {
     super(msg);
+    this.name = "MockingError";
+    this.module = details.module ?? null;
+    this.source = details.source ?? null;
+    this.symbol = details.symbol ?? null;
+    this.availableSources = details.availableSources ?? [];
+    this.availableSymbols = details.availableSymbols ?? [];
+    this.suggestion = details.suggestion ?? null;
   }
 }
 
@@ -13,6 +46,45 @@ export class MockingError extends Error {
  * dependencies.
  */
 export class ImportMap {
+  /**
+   * Map of alias to the current value (original or mock) of the alias.
+   */
+  #values = new Map();
+
+  /**
+   * Stack of layers of mocks, each installed by a call to `$mock`. Mocks in
+   * later layers take precedence over mocks in earlier layers.
+   *
+   * @type {MockLayer[]}
+   */
+  #layers = [];
+
+  /**
+   * Aliases which have been read since their value was last changed.
+   */
+  #readAliases = new Set();
+
+  /**
+   * Map of the names of exports of the module which re-export an import, to
+   * the alias of the import. See `$addReExport`.
+   */
+  #reExports = new Map();
+
+  /**
+   * Map of alias to the registry key of the module which the import refers
+   * to, or `null` if the module is not registered, as of the registry
+   * version. See `#reExporter`.
+   *
+   * @type {Map<string, { version: number, key: string|null }>}
+   */
+  #importedModuleKeys = new Map();
+
+  /**
+   * Reads of aliases recorded while tracing is enabled, or `null` if tracing
+   * is disabled. See `$trace`.
+   */
+  #traceEntries = null;
+
   constructor(imports = {}) {
     /**
      * A mapping of import local name (or alias) to metadata about where
@@ -20,6 +92,9 @@ export class ImportMap {
      */
     this.$meta = imports;
     this.$restore();
+
+    allImportMaps.add(this);
+    this.#applyModuleMocks(Object.keys(this.$meta));
   }
 
   /**
@@ -27,49 +102,118 @@ export class ImportMap {
    *
    * The `value` of the import will become available as a property named
    * `alias` on this instance.
+   *
+   * `resolvedSource` is the absolute path of the module that `source` refers
+   * to, if known. This enables mocks for the import to be specified using
+   * the module's path instead of `source`.
    */
-  $add(alias, source, symbol, value) {
-    if (isSpecialMethod(alias)) {
-      return;
-    }
-    this.$meta[alias] = [source, symbol, value];
-    this[alias] = value;
+  $add(alias, source, symbol, value, resolvedSource) {
+    this.#register(
+      alias,
+      resolvedSource === undefined
+        ? [source, symbol, value]
+        : [source, symbol, value, resolvedSource],
+    );
+  }
+
+  /**
+   * Register an import whose value is read using `getValue`.
+   *
+   * This is used for ES imports, which are live bindings. Unless the import is
+   * mocked, reading the `alias` property calls `getValue`, so it reflects
+   * changes to the exporting module's binding. The value is not read when the
+   * import is registered, so this can be called before the binding is
+   * initialized, as happens with circular imports.
+   *
+   * @param {string} alias
+   * @param {string} source
+   * @param {string} symbol
+   * @param {() => any} getValue
+   * @param {string} [resolvedSource]
+   */
+  $addLive(alias, source, symbol, getValue, resolvedSource) {
+    const meta =
+      resolvedSource === undefined
+        ? [source, symbol, undefined]
+        : [source, symbol, undefined, resolvedSource];
+    Object.defineProperty(meta, 2, {
+      configurable: true,
+      enumerable: true,
+      get: getValue,
+    });
+    this.#register(alias, meta);
+  }
+
+  /**
+   * Register an export of the module which re-exports the import `alias`.
+   *
+   * The module exports the imported binding itself, so that the export is a
+   * live binding. Mocks for `alias` installed using this `ImportMap` are
+   * instead seen by other modules processed by the plugin, when they read an
+   * import of `name` from this module. This requires this module to be
+   * registered with `registerImports` and the other module's import to have a
+   * resolved path.
+   *
+   * @param {string} name - Name of the export
+   * @param {string} alias - Alias of the re-exported import
+   */
+  $addReExport(name, alias) {
+    this.#reExports.set(name, alias);
+    this.#updateMockedReExporters();
   }
 
   /**
    * Replace true imports with mocks.
    *
-   * If mocks are already active when this is called, the mocks in `imports`
-   * are merged with the active mocks.
+   * Each call adds a new layer of mocks on top of any mocks that are already
+   * active. Mocks in the new layer take precedence over existing mocks for the
+   * same imports.
    *
    * @param {Object|Function} imports -
    *   An object whose keys are file paths (as used by the module being
    *   tested, *not* the test module) and values are objects mapping export
-   *   names to mock values. As a convenience, the value can also be a
-   *   function in which case it is treated as a mock for the module's
-   *   default export.
+   *   names to mock values. For relative imports, the key can also be the
+   *   absolute path or `file:` URL of the imported module, eg. from
+   *   `import.meta.resolve` or `new URL(path, import.meta.url)`. As a
+   *   convenience, the value can also be a function in which case it is
+   *   treated as a mock for the module's default export.
+   *
+   *   Mocks for namespace imports (`import * as foo from "foo"`) are merged
+   *   with the original namespace, so exports which are not mocked keep
+   *   their original values.
    *
    *   Alternatively this can be a function which accepts
    *   (source, symbol, value) arguments and returns either a mock for
    *   that import or `null`/`undefined` to avoid mocking that import.
-   *   This second form is useful for mocking many imports at once.
+   *   This second form is useful for mocking many imports at once. Dynamic
+   *   imports are not passed to the function.
+   * @param {Object} [options]
+   * @param {boolean} [options.mergeNamespaces] - If `false`, mocks for
+   *   namespace imports replace the whole namespace, so exports which are not
+   *   mocked are `undefined`. Defaults to `true`.
+   * @return {MockHandle} A function which removes the layer of mocks added
+   *   by this call, revealing any mocks underneath. The handle can also be
+   *   disposed using `Symbol.dispose`, eg. via a `using` declaration.
    */
-  $mock(imports) {
+  $mock(imports, { mergeNamespaces = true } = {}) {
     if (typeof imports === "function") {
       const mocks = {};
       Object.keys(this.$meta).forEach((alias) => {
         const [source, symbol, value] = this.$meta[alias];
+        if (symbol === "<dynamic>" || symbol === "<export *>") {
+          return;
+        }
         const mock = imports(source, symbol, value);
         if (mock != null) {
           mocks[source] = mocks[source] || {};
           mocks[source][symbol] = mock;
         }
       });
-      this.$mock(mocks);
-
-      return;
+      return this.$mock(mocks, { mergeNamespaces });
     }
 
+    const layer = createLayer();
+
     Object.keys(imports).forEach((source) => {
       const sourceImports = imports[source];
       let esImports = sourceImports;
@@ -79,32 +223,314 @@ export class ImportMap {
 
       // Handle namespace ES imports (`import * as foo from "foo"`).
       const namespaceAliases = Object.keys(this.$meta).filter((alias) => {
-        const [source_, symbol_] = this.$meta[alias];
-        return source_ === source && symbol_ === "*";
+        return this.#isImport(alias, source, "*");
       });
       namespaceAliases.forEach((alias) => {
-        this[alias] = esImports;
+        if (mergeNamespaces) {
+          layer.namespaces.set(alias, esImports);
+        } else {
+          layer.values.set(alias, esImports);
+        }
+      });
+
+      // Handle CommonJS imports of a whole module (`var foo = require("foo")`).
+      // The mock is used as the value of `module.exports`.
+      const cjsAliases = Object.keys(this.$meta).filter((alias) => {
+        return this.#isImport(alias, source, "<CJS>");
+      });
+      cjsAliases.forEach((alias) => {
+        layer.values.set(alias, sourceImports);
       });
 
+      // Handle dynamic imports (`import("foo")`). The mock is returned as a
+      // promise for the module namespace, as `import()` does.
+      const dynamicAliases = Object.keys(this.$meta).filter((alias) => {
+        return this.#isImport(alias, source, "<dynamic>");
+      });
+      dynamicAliases.forEach((alias) => {
+        layer.values.set(alias, () => Promise.resolve(esImports));
+      });
+
+      // Mocks for namespace imports which are merged with the original
+      // namespace can only replace exports of the original module.
+      const namespaces = mergeNamespaces
+        ? namespaceAliases.map((alias) => this.$meta[alias][2])
+        : [];
+      const canValidateNamespaces =
+        namespaces.length > 0 &&
+        namespaces.every((ns) => ns !== null && typeof ns === "object");
+
       // Handle named ES imports (`import { foo } from "..."`) or
       // destructured CJS imports (`var { foo } = require("...")`).
       Object.keys(esImports).forEach((symbol) => {
         const aliases = Object.keys(this.$meta).filter((alias) => {
-          const [source_, symbol_] = this.$meta[alias];
-          return source_ === source && symbol_ === symbol;
+          return this.#isImport(alias, source, symbol);
         });
 
-        if (aliases.length === 0 && namespaceAliases.length === 0) {
-          throw new Error(
-            `Module does not import "${symbol}" from "${source}"`,
-          );
+        if (
+          aliases.length === 0 &&
+          cjsAliases.length === 0 &&
+          dynamicAliases.length === 0 &&
+          canValidateNamespaces &&
+          !namespaces.some((ns) => symbol in ns)
+        ) {
+          const exportedSymbols = namespaces.flatMap((ns) => Object.keys(ns));
+          throw this.#createMissingImportError(source, symbol, exportedSymbols);
+        }
+
+        if (
+          aliases.length === 0 &&
+          namespaceAliases.length === 0 &&
+          cjsAliases.length === 0 &&
+          dynamicAliases.length === 0
+        ) {
+          const isExportAll = Object.keys(this.$meta).some((alias) => {
+            return this.#isImport(alias, source, "<export *>");
+          });
+          if (isExportAll) {
+            throw this.#createError(
+              `Module re-exports "${source}" using \`export *\`, which cannot be mocked. Use named re-exports instead.`,
+              { source },
+            );
+          }
+          throw this.#createMissingImportError(source, symbol);
         }
 
         aliases.forEach((alias) => {
-          this[alias] = esImports[symbol];
+          layer.values.set(alias, esImports[symbol]);
+        });
+
+        recordMock(layer, source, symbol, [
+          ...aliases,
+          ...namespaceAliases,
+          ...cjsAliases,
+          ...dynamicAliases,
+        ]);
+      });
+    });
+
+    return this.#pushLayer(layer);
+  }
+
+  /**
+   * Replace every import whose original value is `original` with `mock`.
+   *
+   * This mocks a value regardless of the source and symbol it was imported
+   * using, eg. if the same function is imported from both the module that
+   * defines it and a module that re-exports it. Namespace imports which
+   * include `original` as an export are mocked as if by `$mock`, so that
+   * other exports keep their original values.
+   *
+   * Like `$mock`, this adds a new layer of mocks and returns a handle which
+   * removes it. The mocks are also undone by `$restore`.
+   *
+   * @param {any} original - The original value of the imports to mock
+   * @param {any} mock
+   * @return {MockHandle} A handle which removes the mocks. See `$mock`.
+   * @throws {MockingError} If no import has the value `original`
+   */
+  $mockValue(original, mock) {
+    const layer = createLayer();
+
+    Object.keys(this.$meta).forEach((alias) => {
+      const [source, symbol, value] = this.$meta[alias];
+      if (symbol === "<dynamic>" || symbol === "<export *>") {
+        return;
+      }
+
+      if (value === original) {
+        layer.values.set(alias, mock);
+        recordMock(layer, source, symbol, [alias]);
+        return;
+      }
+
+      if (symbol === "*" && value && typeof value === "object") {
+        const names = Object.keys(value).filter(
+          (name) => value[name] === original,
+        );
+        if (names.length === 0) {
+          return;
+        }
+        const members = {};
+        names.forEach((name) => {
+          members[name] = mock;
+          recordMock(layer, source, name, [alias]);
         });
+        layer.namespaces.set(alias, members);
+      }
+    });
+
+    if (layerAliases(layer).length === 0) {
+      throw this.#createError(
+        "Module does not import the value passed to `$mockValue`",
+      );
+    }
+
+    return this.#pushLayer(layer);
+  }
+
+  /**
+   * Replace imported functions with spies which record calls to them and
+   * call through to the original function.
+   *
+   * Each spy has a `calls` property which is an array of
+   * `{ args, thisValue, returnValue, error }` objects, one per call.
+   * `returnValue` is set if the original function returned and `error` is
+   * set if it threw.
+   *
+   * Like `$mock`, this adds a new layer of mocks and returns a handle which
+   * removes it. The spies are also removed by `$restore`.
+   *
+   * @param {Object} imports - An object whose keys are module paths, as used
+   *   by `$mock`, and values are arrays of the names of the exports to spy on
+   * @return {MockHandle} A handle which removes the spies. See `$mock`.
+   * @throws {MockingError} If the module does not import one of the exports,
+   *   or the export is not a function
+   */
+  $spy(imports) {
+    const mocks = {};
+    Object.keys(imports).forEach((source) => {
+      // Mocks for `require` imports of a whole module replace the module, so
+      // include the module's other exports.
+      const cjsAlias = Object.keys(this.$meta).find((alias) =>
+        this.#isImport(alias, source, "<CJS>"),
+      );
+      const cjsModule = cjsAlias && this.$meta[cjsAlias][2];
+      mocks[source] =
+        cjsModule && typeof cjsModule === "object" ? { ...cjsModule } : {};
+
+      imports[source].forEach((symbol) => {
+        const original = this.$original(source, symbol);
+        if (typeof original !== "function") {
+          throw this.#createError(
+            `Cannot spy on "${symbol}" from "${source}" because it is not a function`,
+            { source, symbol },
+          );
+        }
+        mocks[source][symbol] = createRecordingFunction(symbol, original);
       });
     });
+    return this.$mock(mocks);
+  }
+
+  /**
+   * Return the original, unmocked value of an import.
+   *
+   * This can be used by mocks which delegate to the original implementation
+   * in some cases.
+   *
+   * @param {string} source - Module path, as used by `$mock`
+   * @param {string} symbol - Name of the export
+   * @throws {MockingError} If the module does not import `symbol` from
+   *   `source`
+   */
+  $original(source, symbol) {
+    const aliases = Object.keys(this.$meta).filter((alias) =>
+      this.#isImport(alias, source),
+    );
+
+    const namedAlias = aliases.find((alias) => this.$meta[alias][1] === symbol);
+    if (namedAlias !== undefined) {
+      return this.$meta[namedAlias][2];
+    }
+
+    // Exports of modules imported as a whole, using namespace imports or
+    // `require`.
+    const moduleAlias = aliases.find((alias) => {
+      const [, symbol_, value] = this.$meta[alias];
+      return (
+        (symbol_ === "*" || symbol_ === "<CJS>") &&
+        value != null &&
+        symbol in Object(value)
+      );
+    });
+    if (moduleAlias !== undefined) {
+      return this.$meta[moduleAlias][2][symbol];
+    }
+
+    throw this.#createMissingImportError(source, symbol);
+  }
+
+  /**
+   * Install mocks for the duration of a function call.
+   *
+   * The mocks in `imports` are installed, `fn` is called and then the layer
+   * of mocks installed by this call is removed, revealing any mocks
+   * underneath, such as those installed by an enclosing `$withMocks` call.
+   * Other mocks are not affected.
+   *
+   * If `fn` returns a promise, the mocks are restored when the promise
+   * settles.
+   *
+   * @param {Object|Function} imports - Mocks to install. See `$mock`.
+   * @param {() => T} fn
+   * @return {T} The result of `fn`
+   * @template T
+   */
+  $withMocks(imports, fn) {
+    const restore = this.$mock(imports);
+
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      restore();
+      throw err;
+    }
+
+    if (result && typeof result.then === "function") {
+      return result.then(
+        (value) => {
+          restore();
+          return value;
+        },
+        (err) => {
+          restore();
+          throw err;
+        },
+      );
+    }
+    restore();
+    return result;
+  }
+
+  /**
+   * Replace imports with automatically generated mocks.
+   *
+   * A mock is generated for each import based on the shape of the original
+   * value:
+   *
+   *  - Functions are replaced with functions that do nothing and return
+   *    `undefined`. Calls are recorded in a `calls` property of the function,
+   *    as an array of `{ args, thisValue }` objects.
+   *  - Classes are replaced with classes whose methods are replaced in the
+   *    same way.
+   *  - Objects (including namespace imports) are replaced with objects whose
+   *    properties are mocked recursively.
+   *  - Other values are not mocked.
+   *
+   * Individual imports can be replaced with different mocks by calling `$mock`
+   * afterwards.
+   *
+   * @param {Object} [options]
+   * @param {Pattern|Pattern[]} [options.include] - Only mock imports from
+   *   sources that match these patterns. A pattern can be a string, which
+   *   matches a source exactly, a `RegExp` or a `(source, symbol) => boolean`
+   *   function.
+   * @param {Pattern|Pattern[]} [options.exclude] - Do not mock imports from
+   *   sources that match these patterns.
+   * @return {MockHandle} A handle which removes the mocks. See `$mock`.
+   */
+  $mockAll({ include, exclude } = {}) {
+    return this.$mock((source, symbol, value) => {
+      if (
+        (include && !matchesPattern(include, source, symbol)) ||
+        (exclude && matchesPattern(exclude, source, symbol))
+      ) {
+        return null;
+      }
+      return createAutomock(value, new Map());
+    });
   }
 
   /**
@@ -120,6 +546,9 @@ export class ImportMap {
    * argument to `$mock`, but the values are booleans indicating whether to
    * restore a mock rather than mock values.
    *
+   * Restored imports revert to their original values, regardless of how many
+   * layers of mocks were installed for them.
+   *
    * This function does nothing if called when no mocks are active. This enables
    * `$restore()` to be called unconditionally in a test cleanup function even
    * if the set of symbols that are mocked varies depending on the test.
@@ -127,29 +556,1456 @@ export class ImportMap {
    * @param
    */
   $restore(imports) {
-    Object.keys(this.$meta).forEach((alias) => {
-      if (isSpecialMethod(alias)) {
-        // Skip imports which conflict with special methods.
+    const restoredAliases = Object.keys(this.$meta).filter((alias) => {
+      // `$restore()` restores all mocks.
+      if (typeof imports === "undefined") {
+        return true;
+      }
+      const symbol = this.$meta[alias][1];
+      return Object.keys(imports).some(
+        (source) =>
+          this.#isImport(alias, source) &&
+          // `$restore({ './module': true })` restores all mocks for './module'
+          (imports[source] === true ||
+            // `$restore({ './module': { foo: true }})` restores mock for `foo`
+            // from './module'.
+            (typeof imports[source] === "object" &&
+              imports[source][symbol] === true)),
+      );
+    });
+
+    // `$restore({ './module': { foo: true }})` also restores the mock for
+    // `foo` in namespace imports of './module'.
+    const namespaceMembers = new Map();
+    if (typeof imports !== "undefined") {
+      Object.keys(this.$meta).forEach((alias) => {
+        if (this.$meta[alias][1] !== "*") {
+          return;
+        }
+        Object.keys(imports).forEach((source) => {
+          if (
+            typeof imports[source] !== "object" ||
+            !this.#isImport(alias, source)
+          ) {
+            return;
+          }
+          const names = Object.keys(imports[source]).filter(
+            (name) => imports[source][name] === true,
+          );
+          namespaceMembers.set(alias, [
+            ...(namespaceMembers.get(alias) ?? []),
+            ...names,
+          ]);
+        });
+      });
+    }
+
+    if (typeof imports === "undefined") {
+      this.#layers = [];
+    } else {
+      this.#layers.forEach((layer) => {
+        restoredAliases.forEach((alias) => forgetMock(layer, alias));
+        namespaceMembers.forEach((names, alias) =>
+          forgetNamespaceMembers(layer, alias, names),
+        );
+      });
+    }
+    this.#update([...restoredAliases, ...namespaceMembers.keys()]);
+  }
+
+  /**
+   * Check that every mock installed with `$mock` has been used.
+   *
+   * A mock is considered used if the module under test read the import it
+   * replaced after the mock was installed. Unused mocks usually indicate that
+   * a test is out of date with the code it is testing, for example because
+   * the code no longer uses a dependency, or only uses it when the module is
+   * first evaluated. A mock for an import which the module re-exports is also
+   * used when a module which imports the re-export reads it. See
+   * `$addReExport`.
+   *
+   * Mocks which are hidden by mocks for the same import in a later layer are
+   * not checked.
+   *
+   * This should be called at the end of a test, before `$restore`.
+   *
+   * @throws {MockingError} If any mocks were not used
+   */
+  $verifyMocksUsed() {
+    // Find the mocks from the topmost layer for each source and symbol.
+    const activeMocks = new Map();
+    this.#layers.forEach((layer) => {
+      layer.mocks.forEach((symbols, source) => {
+        symbols.forEach((aliases, symbol) => {
+          activeMocks.set(`"${symbol}" from "${source}"`, aliases);
+        });
+      });
+    });
+
+    const unused = [];
+    activeMocks.forEach((aliases, description) => {
+      const used = [...aliases].some((alias) => this.#readAliases.has(alias));
+      if (!used) {
+        unused.push(description);
+      }
+    });
+    if (unused.length > 0) {
+      throw this.#createError(
+        `The following mocks were installed but not used: ${unused.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Return details of imports whose current value is not the original value.
+   *
+   * @return {Array<{ alias: string, source: string, symbol: string }>}
+   */
+  $activeMocks() {
+    const active = [];
+    this.#values.forEach((value, alias) => {
+      if (value === ORIGINAL_VALUE) {
         return;
       }
-      const [source, symbol, value] = this.$meta[alias];
+      const [source, symbol, originalValue] = this.$meta[alias];
+      if (value !== originalValue) {
+        active.push({ alias, source, symbol });
+      }
+    });
+    return active;
+  }
+
+  /**
+   * Enable or disable tracing of reads of imports.
+   *
+   * While tracing is enabled, every read of an import by the module is
+   * recorded, together with whether the read returned the original value or
+   * a mock. Use `$takeTrace` to retrieve the recorded reads. This can be
+   * used to find tests which use real dependencies that they should mock.
+   *
+   * Only reads by the module's own code are recorded. When a module which
+   * imports a re-export of this module reads it, the read is recorded by the
+   * importing module's `ImportMap`.
+   *
+   * @param {boolean} [enabled]
+   */
+  $trace(enabled = true) {
+    if (!enabled) {
+      this.#traceEntries = null;
+    } else if (!this.#traceEntries) {
+      this.#traceEntries = new Map();
+    }
+  }
+
+  /**
+   * Return the reads recorded since tracing was enabled or `$takeTrace` was
+   * last called, and clear the recorded reads.
+   *
+   * @return {Array<{ alias: string, source: string, symbol: string, mocked: boolean, count: number }>}
+   *   One entry for each alias that was read and whether the read returned a
+   *   mock, with the number of times that happened.
+   */
+  $takeTrace() {
+    if (!this.#traceEntries) {
+      return [];
+    }
+    const entries = [...this.#traceEntries.values()];
+    this.#traceEntries.clear();
+    return entries;
+  }
+
+  /**
+   * Add or replace the metadata for an import and expose its value.
+   *
+   * @param {string} alias
+   * @param {ImportMeta} meta
+   */
+  #register(alias, meta) {
+    if (isSpecialMethod(alias)) {
+      return;
+    }
+    this.$meta[alias] = meta;
+    this.#update([alias]);
+    this.#applyModuleMocks([alias]);
+  }
+
+  /**
+   * Apply mocks installed with `mockModule` or `preMock` to imports added
+   * after the mocks were installed.
+   *
+   * @param {string[]} aliases
+   */
+  #applyModuleMocks(aliases) {
+    moduleMocks.forEach((moduleMock) =>
+      applyModuleMock(moduleMock, this, aliases),
+    );
+    applyPreMocks(this, aliases);
+  }
+
+  /**
+   * Add a layer of mocks and return a handle which removes it.
+   *
+   * @param {MockLayer} layer
+   * @return {MockHandle}
+   */
+  #pushLayer(layer) {
+    this.#layers.push(layer);
+    this.#update(layerAliases(layer));
 
-      const restoreMock =
-        // `$restore()` restores all mocks.
-        typeof imports === "undefined" ||
-        // `$restore({ './module': true })` restores all mocks for './module'
-        imports[source] === true ||
-        // `$restore({ './module': { foo: true }})` restores mock for `foo` from
-        // './module'.
-        (typeof imports[source] === "object" &&
-          imports[source][symbol] === true);
-      if (restoreMock) {
-        this[alias] = value;
+    return createMockHandle(() => {
+      const index = this.#layers.indexOf(layer);
+      if (index === -1) {
+        return;
       }
+      this.#layers.splice(index, 1);
+      this.#update(layerAliases(layer));
     });
   }
-}
 
-function isSpecialMethod(name) {
-  return Object.prototype.hasOwnProperty.call(ImportMap.prototype, name);
+  /**
+   * Return true if `alias` refers to an import from `source` and, if
+   * specified, of `symbol`.
+   *
+   * `source` may be the specifier used by the module, or the absolute path or
+   * URL of the imported module if its resolved path was registered.
+   */
+  #isImport(alias, source, symbol) {
+    // Read fields by index to avoid reading the import's value, which may
+    // not be initialized yet. See `$addLive`.
+    const meta = this.$meta[alias];
+    const [source_, symbol_, resolvedSource] = [meta[0], meta[1], meta[3]];
+    if (symbol !== undefined && symbol_ !== symbol) {
+      return false;
+    }
+    return (
+      source_ === source ||
+      (resolvedSource !== undefined &&
+        isAbsoluteModulePath(normalizeModulePath(source)) &&
+        isSameModulePath(resolvedSource, source))
+    );
+  }
+
+  /**
+   * Create a `MockingError` whose details include the module under test.
+   *
+   * @param {string} message
+   * @param {MockingErrorDetails} [details]
+   */
+  #createError(message, details = {}) {
+    const module = registryKeys.get(this) ?? null;
+    if (module !== null) {
+      message += `\nModule under test: ${module}`;
+    }
+    return new MockingError(message, { module, ...details });
+  }
+
+  /**
+   * Create the error thrown when a mock is supplied for `symbol` from
+   * `source`, but the module does not import it.
+   *
+   * The error lists what the module does import and, if `source` or `symbol`
+   * looks like a misspelling of an import, suggests it.
+   *
+   * @param {string} source
+   * @param {string} symbol
+   * @param {string[]} [exportedSymbols] - Exports of `source` which the module
+   *   imports via namespace imports. If given, `source` is imported but does
+   *   not export `symbol`.
+   */
+  #createMissingImportError(source, symbol, exportedSymbols) {
+    const symbolsBySource = new Map();
+    Object.values(this.$meta).forEach(([source_, symbol_]) => {
+      const symbols = symbolsBySource.get(source_) ?? [];
+      if (!symbols.includes(symbol_)) {
+        symbols.push(symbol_);
+      }
+      symbolsBySource.set(source_, symbols);
+    });
+
+    const availableSources = [...symbolsBySource.keys()];
+    const availableSymbols = Object.keys(this.$meta)
+      .filter((alias) => this.#isImport(alias, source))
+      .map((alias) => this.$meta[alias][1])
+      .filter((name) => exportedSymbols === undefined || name !== "*")
+      .concat(exportedSymbols ?? [])
+      .filter((name, index, names) => names.indexOf(name) === index);
+
+    let suggestion;
+    let message =
+      exportedSymbols === undefined
+        ? `Module does not import "${symbol}" from "${source}".`
+        : `Module imports "${source}" as a namespace, which does not export "${symbol}".`;
+    if (availableSymbols.length > 0 || exportedSymbols !== undefined) {
+      suggestion = findClosestMatch(symbol, availableSymbols);
+    } else {
+      suggestion = findClosestMatch(source, availableSources);
+    }
+    if (suggestion !== null) {
+      message += ` Did you mean "${suggestion}"?`;
+    }
+
+    if (availableSources.length > 0) {
+      const imports = [...symbolsBySource]
+        .map(([source_, symbols]) => `"${source_}" (${symbols.join(", ")})`)
+        .join(", ");
+      message += `\nImports: ${imports}`;
+    } else {
+      message += "\nThe module has no mockable imports.";
+    }
+
+    return this.#createError(message, {
+      source,
+      symbol,
+      availableSources,
+      availableSymbols,
+      suggestion,
+    });
+  }
+
+  /**
+   * Update the current values of `aliases` after mocks have been added or
+   * removed.
+   *
+   * @param {Iterable<string>} aliases
+   */
+  #update(aliases) {
+    for (const alias of aliases) {
+      if (isSpecialMethod(alias)) {
+        // Skip imports which conflict with special methods.
+        continue;
+      }
+      // Apply layers from the bottom up. Mocks for namespace imports are
+      // merged with the value from the layers underneath. If no layer has a
+      // mock for the alias, the original value is read each time the alias is
+      // read, so that live bindings are followed.
+      let value = ORIGINAL_VALUE;
+      for (const layer of this.#layers) {
+        if (layer.values.has(alias)) {
+          value = layer.values.get(alias);
+        } else if (layer.namespaces.has(alias)) {
+          const base = value === ORIGINAL_VALUE ? this.$meta[alias][2] : value;
+          value = { ...base, ...layer.namespaces.get(alias) };
+        }
+      }
+      if (!this.#values.has(alias) || this.#values.get(alias) !== value) {
+        this.#set(alias, value);
+      }
+    }
+    this.#updateMockedReExporters();
+  }
+
+  /**
+   * Update whether this module is in `mockedReExporters`.
+   */
+  #updateMockedReExporters() {
+    if (this.#reExports.size > 0 && this.#layers.length > 0) {
+      mockedReExporters.add(this);
+    } else {
+      mockedReExporters.delete(this);
+    }
+  }
+
+  /**
+   * Set the current value of an alias.
+   *
+   * Aliases are exposed as accessor properties, so that reads of each alias
+   * can be tracked.
+   */
+  #set(alias, value) {
+    if (!this.#values.has(alias)) {
+      Object.defineProperty(this, alias, {
+        configurable: true,
+        enumerable: true,
+        get: () => {
+          const usedMocks = [];
+          let value = this.#mockedValue(alias, usedMocks);
+          if (value === ORIGINAL_VALUE) {
+            value = this.$meta[alias][2];
+          }
+          this.#readAliases.add(alias);
+
+          // Mark mocks for re-exports in other modules, which this import
+          // refers to, as used. See `$verifyMocksUsed`.
+          usedMocks.forEach(([imports, alias_]) =>
+            imports.#readAliases.add(alias_),
+          );
+          if (this.#traceEntries) {
+            this.#recordRead(alias, value);
+          }
+          return value;
+        },
+        set: (value) => {
+          // Treat assignments as a layer of mocks for a single alias.
+          const layer = createLayer();
+          layer.values.set(alias, value);
+          this.#layers.push(layer);
+          this.#update([alias]);
+        },
+      });
+    }
+    this.#values.set(alias, value);
+    this.#readAliases.delete(alias);
+  }
+
+  /**
+   * Return the mock for `alias`, or `ORIGINAL_VALUE` if it is not mocked.
+   *
+   * If the import is not mocked using this `ImportMap`, but it imports a
+   * module which re-exports the symbol, the mock for the re-export in that
+   * module's `ImportMap` is used. See `$addReExport`.
+   *
+   * This does not count as a read of the import, so it is used to read
+   * imports on behalf of other modules.
+   *
+   * @param {string} alias
+   * @param {Array<[ImportMap, string]>} [usedMocks] - Array to which the
+   *   `ImportMap` and alias of the mocks which the result comes from are added
+   * @param {Set<ImportMap>} [visited] - `ImportMap`s which have already been
+   *   checked, to handle cycles of re-exports
+   */
+  #mockedValue(alias, usedMocks = [], visited = new Set()) {
+    const value = this.#values.get(alias);
+    if (value !== ORIGINAL_VALUE) {
+      usedMocks.push([this, alias]);
+      return value;
+    }
+    if (mockedReExporters.size === 0) {
+      return value;
+    }
+    visited.add(this);
+
+    const meta = this.$meta[alias];
+    const symbol = meta[1];
+    const reExporter = this.#reExporter(alias);
+    if (!reExporter || visited.has(reExporter)) {
+      return ORIGINAL_VALUE;
+    }
+
+    if (symbol !== "*") {
+      return reExporter.#reExportMock(symbol, usedMocks, visited);
+    }
+
+    // Merge mocks for re-exports into namespace imports of the module.
+    const mocks = {};
+    reExporter.#reExports.forEach((alias_, name) => {
+      const mock = reExporter.#reExportMock(name, usedMocks, visited);
+      if (mock !== ORIGINAL_VALUE) {
+        mocks[name] = mock;
+      }
+    });
+    return Object.keys(mocks).length > 0 ? { ...meta[2], ...mocks } : value;
+  }
+
+  /**
+   * Return the mock for the re-export `name` of the module, or
+   * `ORIGINAL_VALUE` if it is not a re-export or is not mocked.
+   *
+   * @param {string} name
+   * @param {Array<[ImportMap, string]>} usedMocks - See `#mockedValue`
+   * @param {Set<ImportMap>} visited - See `#mockedValue`
+   */
+  #reExportMock(name, usedMocks, visited) {
+    const alias = this.#reExports.get(name);
+    if (alias === undefined) {
+      return ORIGINAL_VALUE;
+    }
+    return this.#mockedValue(alias, usedMocks, visited);
+  }
+
+  /**
+   * Return the `ImportMap` of the module which the import `alias` refers to,
+   * if that module is registered and re-exports any imports.
+   *
+   * The registry key of the module is cached, as this is used on every read
+   * of the import while re-exports are mocked. The `ImportMap` is looked up
+   * using the key, so that if the module is evaluated again (eg. after a test
+   * runner resets its module cache), the latest instance is used.
+   *
+   * @param {string} alias
+   * @return {ImportMap|null}
+   */
+  #reExporter(alias) {
+    let cached = this.#importedModuleKeys.get(alias);
+    if (!cached || cached.version !== registryVersion) {
+      const resolvedSource = this.$meta[alias][3];
+      cached = {
+        version: registryVersion,
+        key:
+          resolvedSource === undefined ? null : findRegistryKey(resolvedSource),
+      };
+      this.#importedModuleKeys.set(alias, cached);
+    }
+    if (cached.key === null) {
+      return null;
+    }
+    const imports = registry.get(cached.key);
+    return imports.#reExports.size > 0 ? imports : null;
+  }
+
+  #recordRead(alias, value) {
+    const [source, symbol, originalValue] = this.$meta[alias];
+    const mocked = value !== originalValue;
+    const key = `${alias}:${mocked}`;
+    let entry = this.#traceEntries.get(key);
+    if (!entry) {
+      entry = { alias, source, symbol, mocked, count: 0 };
+      this.#traceEntries.set(key, entry);
+    }
+    ++entry.count;
+  }
+}
+
+/**
+ * Metadata about an import: `[source, symbol, value, resolvedSource]`.
+ *
+ * @typedef {[string, string, any, string?]} ImportMeta
+ */
+
+/**
+ * Marker stored as the current value of an alias which is not mocked, to
+ * indicate that the original value should be read when the alias is read.
+ */
+const ORIGINAL_VALUE = Symbol("ORIGINAL_VALUE");
+
+/**
+ * A layer of mocks installed by a call to `ImportMap.$mock`.
+ *
+ * @typedef MockLayer
+ * @prop {Map<string, any>} values - Map of alias to mock value
+ * @prop {Map<string, Object>} namespaces - Map of namespace import alias to
+ *   mocks for some of the namespace's exports, which are merged with the
+ *   value of the alias from the layers underneath
+ * @prop {Map<string, Map<string, Set<string>>>} mocks - Map of source to
+ *   a map of symbol to the aliases that the mock for that symbol was applied
+ *   to. This is used by `$verifyMocksUsed`.
+ */
+
+/**
+ * A function which removes a layer of mocks installed by `ImportMap.$mock`.
+ *
+ * @typedef {(() => void) & { [Symbol.dispose]: () => void }} MockHandle
+ */
+
+/**
+ * Create an empty layer of mocks.
+ *
+ * @return {MockLayer}
+ */
+function createLayer() {
+  return { values: new Map(), namespaces: new Map(), mocks: new Map() };
+}
+
+/**
+ * Return the aliases which a layer contains mocks for.
+ *
+ * @param {MockLayer} layer
+ */
+function layerAliases(layer) {
+  return [...layer.values.keys(), ...layer.namespaces.keys()];
+}
+
+/**
+ * Create a handle which calls `dispose` when called or disposed.
+ *
+ * @param {() => void} dispose
+ * @return {MockHandle}
+ */
+function createMockHandle(dispose) {
+  const handle = () => dispose();
+  if (typeof Symbol.dispose === "symbol") {
+    handle[Symbol.dispose] = handle;
+  }
+  return handle;
+}
+
+/**
+ * Record that the mock for `symbol` from `source` in a layer was applied to
+ * `aliases`.
+ */
+function recordMock(layer, source, symbol, aliases) {
+  let symbols = layer.mocks.get(source);
+  if (!symbols) {
+    symbols = new Map();
+    layer.mocks.set(source, symbols);
+  }
+  let symbolAliases = symbols.get(symbol);
+  if (!symbolAliases) {
+    symbolAliases = new Set();
+    symbols.set(symbol, symbolAliases);
+  }
+  aliases.forEach((alias) => symbolAliases.add(alias));
+}
+
+/**
+ * Remove the mock for `alias` from a layer, after it has been restored.
+ */
+function forgetMock(layer, alias) {
+  layer.values.delete(alias);
+  layer.namespaces.delete(alias);
+  forgetRecordedMocks(layer, alias);
+}
+
+/**
+ * Remove the mocks for some exports from a namespace import `alias` from a
+ * layer, after they have been restored.
+ *
+ * @param {MockLayer} layer
+ * @param {string} alias
+ * @param {string[]} names
+ */
+function forgetNamespaceMembers(layer, alias, names) {
+  const members = layer.namespaces.get(alias);
+  if (!members) {
+    return;
+  }
+  const remaining = { ...members };
+  names.forEach((name) => delete remaining[name]);
+  if (Object.keys(remaining).length === 0) {
+    forgetMock(layer, alias);
+    return;
+  }
+  layer.namespaces.set(alias, remaining);
+  forgetRecordedMocks(layer, alias, names);
+}
+
+/**
+ * Remove `alias` from the record of the imports that mocks in a layer were
+ * applied to.
+ *
+ * @param {MockLayer} layer
+ * @param {string} alias
+ * @param {string[]} [onlySymbols] - Only remove the records for these symbols
+ */
+function forgetRecordedMocks(layer, alias, onlySymbols) {
+  layer.mocks.forEach((symbols, source) => {
+    symbols.forEach((aliases, symbol) => {
+      if (onlySymbols && !onlySymbols.includes(symbol)) {
+        return;
+      }
+      aliases.delete(alias);
+      if (aliases.size === 0) {
+        symbols.delete(symbol);
+      }
+    });
+    if (symbols.size === 0) {
+      layer.mocks.delete(source);
+    }
+  });
+}
+
+/**
+ * Return true if `source` or `symbol` matches any of `patterns`.
+ *
+ * @typedef {string|RegExp|((source: string, symbol: string) => boolean)} Pattern
+ * @param {Pattern|Pattern[]} patterns
+ * @param {string} source
+ * @param {string} symbol
+ */
+function matchesPattern(patterns, source, symbol) {
+  if (!Array.isArray(patterns)) {
+    patterns = [patterns];
+  }
+  return patterns.some(
+    (pattern) =>
+      (typeof pattern === "string" && pattern === source) ||
+      (pattern instanceof RegExp && pattern.test(source)) ||
+      (typeof pattern === "function" && pattern(source, symbol)),
+  );
+}
+
+/**
+ * Create a function which records calls to it in a `calls` property.
+ *
+ * If `original` is given, calls are passed through to it and the return
+ * value, or the error thrown, is recorded together with the arguments.
+ * Otherwise the function returns `undefined`.
+ *
+ * @param {string} name
+ * @param {Function} [original]
+ */
+function createRecordingFunction(name, original) {
+  const calls = [];
+  const fn = function (...args) {
+    const call = { args, thisValue: this };
+    calls.push(call);
+    if (!original) {
+      return undefined;
+    }
+    try {
+      call.returnValue = new.target
+        ? Reflect.construct(original, args)
+        : original.apply(this, args);
+      return call.returnValue;
+    } catch (err) {
+      call.error = err;
+      throw err;
+    }
+  };
+  fn.calls = calls;
+  Object.defineProperty(fn, "name", { value: name });
+  if (original) {
+    fn.prototype = original.prototype;
+  }
+  return fn;
+}
+
+/**
+ * Return true if `fn` looks like a class rather than a plain function.
+ */
+function isClass(fn) {
+  if (/^class\b/.test(Function.prototype.toString.call(fn))) {
+    return true;
+  }
+  // Handle classes which have been transpiled to functions.
+  return (
+    typeof fn.prototype === "object" &&
+    fn.prototype !== null &&
+    Object.getOwnPropertyNames(fn.prototype).some(
+      (name) => name !== "constructor",
+    )
+  );
+}
+
+/**
+ * Return the names of methods in the prototype chain of `proto`, excluding
+ * those from `Object.prototype`.
+ */
+function getMethodNames(proto) {
+  const names = new Set();
+  for (
+    ;
+    proto && proto !== Object.prototype && proto !== Function.prototype;
+    proto = Object.getPrototypeOf(proto)
+  ) {
+    Object.getOwnPropertyNames(proto).forEach((name) => {
+      const desc = Object.getOwnPropertyDescriptor(proto, name);
+      if (name !== "constructor" && typeof desc.value === "function") {
+        names.add(name);
+      }
+    });
+  }
+  return [...names];
+}
+
+/**
+ * Create a mock for `value` based on its shape, or return `null` if `value`
+ * should not be mocked. See `ImportMap.$mockAll`.
+ *
+ * @param {any} value
+ * @param {Map<any, any>} mocks - Mocks already created for objects in the
+ *   current import, used to handle cycles
+ */
+function createAutomock(value, mocks) {
+  if (mocks.has(value)) {
+    return mocks.get(value);
+  }
+
+  if (typeof value === "function") {
+    const mock = createRecordingFunction(value.name);
+    mocks.set(value, mock);
+    if (isClass(value)) {
+      getMethodNames(value.prototype).forEach((name) => {
+        mock.prototype[name] = createRecordingFunction(name);
+      });
+      // Mock static methods.
+      Object.getOwnPropertyNames(value).forEach((name) => {
+        const desc = Object.getOwnPropertyDescriptor(value, name);
+        if (name !== "prototype" && typeof desc.value === "function") {
+          mock[name] = createAutomock(desc.value, mocks);
+        }
+      });
+    }
+    return mock;
+  }
+
+  if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+    const mock = {};
+    mocks.set(value, mock);
+    Object.keys(value).forEach((key) => {
+      const propMock = createAutomock(value[key], mocks);
+      mock[key] = propMock === null ? value[key] : propMock;
+    });
+    // Mock methods of class instances.
+    getMethodNames(Object.getPrototypeOf(value)).forEach((name) => {
+      if (!(name in mock)) {
+        mock[name] = createRecordingFunction(name);
+      }
+    });
+    return mock;
+  }
+
+  return null;
+}
+
+/**
+ * Return the number of single-character insertions, deletions or
+ * substitutions needed to change `a` into `b`.
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+function editDistance(a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(
+        Math.min(
+          previousRow[j] + 1,
+          row[j - 1] + 1,
+          previousRow[j - 1] + substitutionCost,
+        ),
+      );
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+/**
+ * Return the candidate which is most similar to `value`, or `null` if none of
+ * them is similar enough for `value` to be a likely misspelling of it.
+ *
+ * @param {string} value
+ * @param {string[]} candidates
+ * @return {string|null}
+ */
+function findClosestMatch(value, candidates) {
+  const maxDistance = Math.max(1, Math.floor(value.length / 3));
+  let closest = null;
+  let closestDistance = Infinity;
+  candidates.forEach((candidate) => {
+    const distance = editDistance(value, candidate);
+    if (distance <= maxDistance && distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+}
+
+/**
+ * Every `ImportMap` that has been created.
+ *
+ * @type {Set<ImportMap>}
+ */
+const allImportMaps = new Set();
+
+/**
+ * `ImportMap`s which have registered re-exports using `$addReExport` and
+ * have mocks installed.
+ *
+ * This lets reads of imports skip looking for mocks of re-exports when none
+ * are mocked.
+ *
+ * @type {Set<ImportMap>}
+ */
+const mockedReExporters = new Set();
+
+/**
+ * Registry of `ImportMap`s for modules processed by the plugin, keyed by
+ * module filename or URL.
+ *
+ * @type {Map<string, ImportMap>}
+ */
+const registry = new Map();
+
+/**
+ * Map of `ImportMap` to the key it was registered with.
+ *
+ * @type {WeakMap<ImportMap, string>}
+ */
+const registryKeys = new WeakMap();
+
+/**
+ * Map of registry keys to the keys, for looking up the modules which imports
+ * refer to. See `registryLookupPath`.
+ *
+ * @type {Map<string, string>}
+ */
+const registryKeysByPath = new Map();
+
+/**
+ * Counter which is incremented when a module is registered, to invalidate
+ * lookups of registry keys cached by `ImportMap`s.
+ */
+let registryVersion = 0;
+
+/**
+ * Normalize a module path or URL for comparison.
+ *
+ * `file:` URLs are converted to paths and Windows path separators are
+ * converted to `/`.
+ */
+function normalizeModulePath(pathOrUrl) {
+  let path = String(pathOrUrl);
+  if (path.startsWith("file:")) {
+    // Remove "file://" prefix and host.
+    path = decodeURIComponent(path.replace(/^file:(\/\/[^/]*)?/, ""));
+  }
+  return path.replace(/\\/g, "/");
+}
+
+function stripExtension(path) {
+  return path.replace(/\.[^./]+$/, "");
+}
+
+/**
+ * Return true if a normalized module path is an absolute path or a URL.
+ */
+function isAbsoluteModulePath(path) {
+  return /^(\/|[a-zA-Z]:\/|[a-zA-Z][a-zA-Z0-9+.-]+:)/.test(path);
+}
+
+/**
+ * Return true if the absolute path `resolvedSource`, resolved from an import
+ * specifier, refers to the module `query`.
+ *
+ * `query` may be an absolute path, a URL, or a path relative to the project
+ * root (eg. "src/app.js"), which matches the end of `resolvedSource`. Relative
+ * paths must include a directory, so that package names (eg. "api-client")
+ * do not match local modules with the same name. The file extension may be
+ * omitted from either path, and `resolvedSource` may refer to a directory
+ * containing an index module, as import specifiers can.
+ */
+function isSameModulePath(resolvedSource, query) {
+  resolvedSource = normalizeModulePath(resolvedSource);
+  query = normalizeModulePath(query);
+
+  const paths = [
+    resolvedSource,
+    stripExtension(resolvedSource),
+    `${resolvedSource}/index`,
+  ];
+  const queries = [query, stripExtension(query)];
+  if (isAbsoluteModulePath(query)) {
+    return paths.some((path) => queries.includes(path));
+  }
+  if (!query.includes("/")) {
+    return false;
+  }
+
+  // Remove leading "./" and "../" segments.
+  const suffixes = queries.map(
+    (query) => "/" + query.replace(/^(\.\.?\/)+/, ""),
+  );
+  return paths.some((path) => suffixes.some((suffix) => path.endsWith(suffix)));
+}
+
+/**
+ * Return the path under which the registry key `key` is stored in
+ * `registryKeysByPath`.
+ *
+ * The file extension is removed. Keys generated by the plugin are relative to
+ * Babel's `cwd`, and any leading "../" segments are removed from these, so
+ * that the rest of the key can be matched against the end of absolute paths.
+ */
+function registryLookupPath(key) {
+  return stripExtension(key.replace(/^(\.\.?\/)+/, ""));
+}
+
+/**
+ * Return the key of the registered module which the absolute path
+ * `resolvedSource`, resolved from an import specifier, refers to, or `null`
+ * if no such module is registered.
+ *
+ * Keys which are relative paths match the end of `resolvedSource`. As in
+ * `isSameModulePath`, these must include a directory.
+ *
+ * @param {string} resolvedSource
+ * @return {string|null}
+ */
+function findRegistryKey(resolvedSource) {
+  resolvedSource = normalizeModulePath(resolvedSource);
+  const paths = [stripExtension(resolvedSource), `${resolvedSource}/index`];
+  for (const path of paths) {
+    // Try the whole path first, then shorter suffixes of it.
+    const segments = path.split("/");
+    for (let i = 0; i < segments.length - 1; i++) {
+      const key = registryKeysByPath.get(segments.slice(i).join("/"));
+      if (key !== undefined) {
+        return key;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Return true if the module identified by `key` matches `query`.
+ *
+ * `key` may be an absolute path, a URL, or a path relative to Babel's `cwd`,
+ * as generated by the plugin. `query` may be an absolute path, a URL, or a
+ * path relative to the project root (eg. "src/app.js"), which matches the end
+ * of `key`. If `key` is relative, it matches the end of an absolute `query`.
+ * The file extension may be omitted from `query`.
+ */
+function matchesModulePath(key, query) {
+  key = normalizeModulePath(key);
+  query = normalizeModulePath(query);
+
+  if (!isAbsoluteModulePath(key)) {
+    key = "/" + key.replace(/^(\.\.?\/)+/, "");
+    if (isAbsoluteModulePath(query)) {
+      return [query, stripExtension(query)].some(
+        (path) => path.endsWith(key) || path.endsWith(stripExtension(key)),
+      );
+    }
+  } else if (isAbsoluteModulePath(query)) {
+    return key === query || stripExtension(key) === query;
+  }
+
+  // Remove leading "./" and "../" segments.
+  const suffix = "/" + query.replace(/^(\.\.?\/)+/, "");
+  return key.endsWith(suffix) || stripExtension(key).endsWith(suffix);
+}
+
+/**
+ * Register the `ImportMap` for a module.
+ *
+ * This is called by modules processed by the plugin if the module's filename
+ * is known, or if the `exposeVia: "registry"` plugin option is used.
+ *
+ * @param {string} key - Path of the module relative to Babel's `cwd`, or its
+ *   absolute path or URL
+ * @param {ImportMap} imports
+ */
+export function registerImports(key, imports) {
+  key = normalizeModulePath(key);
+
+  // If the module was evaluated again, modules which import it no longer see
+  // mocks installed using the previous instance.
+  const previous = registry.get(key);
+  if (previous && previous !== imports) {
+    mockedReExporters.delete(previous);
+  }
+
+  registry.set(key, imports);
+  registryKeys.set(imports, key);
+  registryKeysByPath.set(registryLookupPath(key), key);
+  registryVersion += 1;
+  applyPreMocks(imports, Object.keys(imports.$meta));
+}
+
+/**
+ * Return the `ImportMap` for a module.
+ *
+ * @param {object|string|URL} moduleUrlOrPath - The module's namespace object
+ *   (eg. from `import * as module from "./module"`), if the module exports
+ *   `$imports`. Otherwise the absolute path or URL of a module that was
+ *   registered with `registerImports` (eg. from `import.meta.resolve` or
+ *   `new URL(path, import.meta.url)`), or a path that matches the end of the
+ *   module's path (eg. "src/app.js"). The file extension may be omitted.
+ * @return {ImportMap}
+ */
+export function getImports(moduleUrlOrPath) {
+  if (
+    typeof moduleUrlOrPath === "object" &&
+    typeof moduleUrlOrPath.href !== "string"
+  ) {
+    if (!(moduleUrlOrPath.$imports instanceof ImportMap)) {
+      throw new MockingError(
+        "Module does not export `$imports`. If it was processed with the " +
+          '`exposeVia: "registry"` option, pass its path instead',
+      );
+    }
+    return moduleUrlOrPath.$imports;
+  }
+
+  const exactMatch = registry.get(normalizeModulePath(moduleUrlOrPath));
+  if (exactMatch) {
+    return exactMatch;
+  }
+
+  const matches = [...registry.keys()].filter((key) =>
+    matchesModulePath(key, moduleUrlOrPath),
+  );
+  if (matches.length === 0) {
+    throw new MockingError(
+      `No module matching "${moduleUrlOrPath}" has registered its imports`,
+    );
+  } else if (matches.length > 1) {
+    throw new MockingError(
+      `Multiple modules match "${moduleUrlOrPath}": ${matches.join(", ")}`,
+    );
+  }
+  return registry.get(matches[0]);
+}
+
+/**
+ * A mock installed with `mockModule`.
+ *
+ * @typedef ModuleMock
+ * @prop {string} module - Path, URL or specifier of the mocked module
+ * @prop {Object|Function} mocks - Mocks for the module's exports, in the
+ *   format accepted by `ImportMap.$mock`
+ * @prop {MockHandle[]} handles - Handles for the mocks installed in each
+ *   `ImportMap` that imports the module
+ */
+
+/**
+ * Mocks installed with `mockModule` which have not been restored.
+ *
+ * These are also applied to modules that are loaded after the mock was
+ * installed.
+ *
+ * @type {ModuleMock[]}
+ */
+const moduleMocks = [];
+
+/**
+ * Return true if an import from `source` refers to `module`.
+ *
+ * @param {string} source - Specifier used to import the module
+ * @param {string|undefined} resolvedSource - Absolute path of the imported
+ *   module, if known
+ * @param {string} module - Specifier, path or URL passed to `mockModule`
+ */
+function importsModule(source, resolvedSource, module) {
+  return (
+    source === module ||
+    (resolvedSource !== undefined && isSameModulePath(resolvedSource, module))
+  );
+}
+
+/**
+ * Install the mocks for a module in an `ImportMap`, for those of `aliases`
+ * which import the module.
+ *
+ * Only mocks for symbols that are imported are passed to `$mock`, so that
+ * modules which import some, but not all, of the mocked symbols can be
+ * mocked.
+ *
+ * @param {ModuleMock} moduleMock
+ * @param {ImportMap} imports
+ * @param {string[]} aliases
+ * @return {Set<string>} Symbols for which mocks were installed
+ */
+function applyModuleMock(moduleMock, imports, aliases) {
+  const { module, mocks } = moduleMock;
+  const esMocks = typeof mocks === "function" ? { default: mocks } : mocks;
+
+  const mocksBySource = {};
+  const mockedSymbols = new Set();
+  aliases.forEach((alias) => {
+    const meta = imports.$meta[alias];
+    const [source, symbol, resolvedSource] = [meta[0], meta[1], meta[3]];
+    if (!importsModule(source, resolvedSource, module)) {
+      return;
+    }
+
+    if (symbol === "*" || symbol === "<CJS>" || symbol === "<dynamic>") {
+      // Imports of the whole module use mocks for every symbol.
+      mocksBySource[source] = mocks;
+      Object.keys(esMocks).forEach((symbol) => mockedSymbols.add(symbol));
+    } else if (
+      Object.prototype.hasOwnProperty.call(esMocks, symbol) &&
+      mocksBySource[source] !== mocks
+    ) {
+      mocksBySource[source] = {
+        ...mocksBySource[source],
+        [symbol]: esMocks[symbol],
+      };
+      mockedSymbols.add(symbol);
+    }
+  });
+
+  if (Object.keys(mocksBySource).length > 0) {
+    moduleMock.handles.push(imports.$mock(mocksBySource));
+  }
+  return mockedSymbols;
+}
+
+/**
+ * Mock a module for every module that imports it.
+ *
+ * The mocks are installed in every `ImportMap` with imports from `module`,
+ * as if `$mock` was called on each of them, and in modules that are loaded
+ * later.
+ *
+ * @param {string|URL} module - The specifier used to import the module (eg.
+ *   "axios"), or the absolute path or URL of the module, or a path that
+ *   matches the end of the module's path (eg. "src/api-client.js"). Paths
+ *   only match relative imports in modules whose filename was known to Babel.
+ * @param {Object|Function} mocks - Mocks for the module's exports, in the same
+ *   format as the values of the object passed to `ImportMap.$mock`
+ * @return {MockHandle} A handle which removes the mocks from every module
+ * @throws {MockingError} If modules which import `module` have been loaded but
+ *   none of them import one of the symbols in `mocks`
+ */
+export function mockModule(module, mocks) {
+  module = String(module);
+  const moduleMock = { module, mocks, handles: [] };
+  const restore = () => {
+    const index = moduleMocks.indexOf(moduleMock);
+    if (index !== -1) {
+      moduleMocks.splice(index, 1);
+    }
+    moduleMock.handles.forEach((handle) => handle());
+  };
+
+  const mockedSymbols = new Set();
+  try {
+    allImportMaps.forEach((imports) => {
+      const symbols = applyModuleMock(
+        moduleMock,
+        imports,
+        Object.keys(imports.$meta),
+      );
+      symbols.forEach((symbol) => mockedSymbols.add(symbol));
+    });
+  } catch (err) {
+    restore();
+    throw err;
+  }
+
+  // If any loaded modules import `module`, check that every mocked symbol is
+  // imported by at least one of them, to catch misspelled symbols.
+  if (moduleMock.handles.length > 0) {
+    const esMocks = typeof mocks === "function" ? { default: mocks } : mocks;
+    const unused = Object.keys(esMocks).filter(
+      (symbol) => !mockedSymbols.has(symbol),
+    );
+    if (unused.length > 0) {
+      restore();
+      throw new MockingError(
+        `No module imports ${unused.map((symbol) => `"${symbol}"`).join(", ")} from "${module}"`,
+      );
+    }
+  }
+
+  moduleMocks.push(moduleMock);
+  return createMockHandle(restore);
+}
+
+/**
+ * Remove all mocks installed for `module` with `mockModule`.
+ *
+ * @param {string|URL} module - The same value that was passed to `mockModule`
+ */
+export function restoreModule(module) {
+  module = String(module);
+  moduleMocks
+    .filter((moduleMock) => moduleMock.module === module)
+    .forEach((moduleMock) => {
+      moduleMocks.splice(moduleMocks.indexOf(moduleMock), 1);
+      moduleMock.handles.forEach((handle) => handle());
+    });
+}
+
+/**
+ * Mocks installed with `preMock` for the imports of a module.
+ *
+ * @typedef PreMock
+ * @prop {string} module - Path or URL of the module whose imports are mocked
+ * @prop {ModuleMock[]} moduleMocks - Mocks for each of the module's
+ *   dependencies
+ */
+
+/**
+ * Mocks installed with `preMock` which have not been removed.
+ *
+ * @type {PreMock[]}
+ */
+const preMocks = [];
+
+/**
+ * Apply mocks installed with `preMock` to `aliases` in a registered
+ * `ImportMap`.
+ *
+ * @param {ImportMap} imports
+ * @param {string[]} aliases
+ * @param {PreMock[]} [entries] - Mocks to apply. Defaults to all mocks
+ *   installed with `preMock`.
+ */
+function applyPreMocks(imports, aliases, entries = preMocks) {
+  const key = registryKeys.get(imports);
+  if (key === undefined) {
+    return;
+  }
+  entries.forEach((entry) => {
+    if (!matchesModulePath(key, entry.module)) {
+      return;
+    }
+    entry.moduleMocks.forEach((moduleMock) =>
+      applyModuleMock(moduleMock, imports, aliases),
+    );
+  });
+}
+
+/**
+ * Mock the imports of a module before it is loaded.
+ *
+ * The mocks are installed as the module registers its imports, before the
+ * rest of the module is evaluated. This makes it possible to mock
+ * dependencies used by code that runs when the module is first imported.
+ * After installing the mocks, the test should load the module using a
+ * dynamic `import()`. The module must not have been loaded already.
+ *
+ * The module must be registered with `registerImports`, which happens if Babel
+ * was given the module's filename or the `exposeVia: "registry"` option was
+ * used.
+ *
+ * @param {string|URL} module - Absolute path or URL of the module, or a path
+ *   that matches the end of the module's path (eg. "src/app.js"), as accepted
+ *   by `getImports`
+ * @param {Object} imports - Mocks for the module's imports, in the same format
+ *   as the argument to `ImportMap.$mock`
+ * @return {MockHandle} A handle which removes the mocks. The mocks are also
+ *   removed by `$imports.$restore`, but in that case will be installed again
+ *   if the module is loaded again.
+ */
+export function preMock(module, imports) {
+  const entry = {
+    module: String(module),
+    moduleMocks: Object.keys(imports).map((source) => ({
+      module: source,
+      mocks: imports[source],
+      handles: [],
+    })),
+  };
+  preMocks.push(entry);
+
+  // Apply the mocks to the module if it has already been loaded.
+  registry.forEach((imports) =>
+    applyPreMocks(imports, Object.keys(imports.$meta), [entry]),
+  );
+
+  return createMockHandle(() => {
+    const index = preMocks.indexOf(entry);
+    if (index !== -1) {
+      preMocks.splice(index, 1);
+    }
+    entry.moduleMocks.forEach((moduleMock) =>
+      moduleMock.handles.forEach((handle) => handle()),
+    );
+  });
+}
+
+function isSpecialMethod(name) {
+  return Object.prototype.hasOwnProperty.call(ImportMap.prototype, name);
+}
+
+/**
+ * Restore all mocks in every `ImportMap`.
+ *
+ * This is equivalent to calling `$imports.$restore()` for every module
+ * processed by the plugin. Mocks installed with `mockModule` and `preMock` are
+ * also removed, so they are not applied to modules loaded later.
+ */
+export function restoreAllMocks() {
+  moduleMocks.length = 0;
+  preMocks.length = 0;
+  allImportMaps.forEach((imports) => imports.$restore());
+}
+
+/**
+ * Return details of every import, in any module, whose current value is not
+ * the original value.
+ *
+ * @return {Array<{ module: string|null, alias: string, source: string, symbol: string }>}
+ *   `module` is the filename or URL of the module that imports the mocked
+ *   import, or `null` if it is not known.
+ */
+export function getActiveMocks() {
+  const active = [];
+  allImportMaps.forEach((imports) => {
+    const module = registryKeys.get(imports) ?? null;
+    imports.$activeMocks().forEach((mock) => active.push({ module, ...mock }));
+  });
+  return active;
+}
+
+/**
+ * Check that no mocks are active in any module.
+ *
+ * This is intended to be called after each test to detect tests which do not
+ * clean up their mocks. If any mocks are active, they are restored, so that
+ * they do not affect later tests, and an error is thrown.
+ *
+ * @throws {MockingError}
+ */
+export function assertNoActiveMocks() {
+  const active = getActiveMocks();
+  if (active.length === 0) {
+    return;
+  }
+  restoreAllMocks();
+
+  const mocksByModule = new Map();
+  active.forEach(({ module, source, symbol }) => {
+    const moduleName = module ?? "<unknown module>";
+    const mocks = mocksByModule.get(moduleName) ?? [];
+    mocks.push(`"${symbol}" from "${source}"`);
+    mocksByModule.set(moduleName, mocks);
+  });
+  const details = [...mocksByModule]
+    .map(([module, mocks]) => `  ${module}: ${mocks.join(", ")}`)
+    .join("\n");
+  throw new MockingError(`Mocks were not restored:\n${details}`);
+}
+
+/**
+ * Check that every mock installed in any module has been used.
+ *
+ * This is equivalent to calling `$imports.$verifyMocksUsed()` for every module
+ * processed by the plugin.
+ *
+ * @throws {MockingError} If any mocks were not used
+ */
+export function verifyAllMocksUsed() {
+  const errors = [];
+  allImportMaps.forEach((imports) => {
+    try {
+      imports.$verifyMocksUsed();
+    } catch (err) {
+      errors.push(err.message);
+    }
+  });
+  if (errors.length > 0) {
+    throw new MockingError(errors.join("\n"));
+  }
+}
+
+/**
+ * Options for `cleanUpMocks`.
+ *
+ * @typedef CleanUpOptions
+ * @prop {boolean} [checkActiveMocks] - Throw an error if any mocks were still
+ *   active, ie. the test did not restore the mocks it installed
+ * @prop {boolean} [checkUnusedMocks] - Throw an error if any mocks were
+ *   installed but not used. See `ImportMap.$verifyMocksUsed`.
+ */
+
+/**
+ * Restore all mocks at the end of a test.
+ *
+ * This is used by the test runner integrations to restore mocks after each
+ * test. Mocks are always restored, even if one of the checks fails.
+ *
+ * @param {CleanUpOptions} [options]
+ * @throws {MockingError} If one of the checks enabled by `options` fails
+ */
+export function cleanUpMocks({
+  checkActiveMocks = false,
+  checkUnusedMocks = false,
+} = {}) {
+  let unusedMocksError = null;
+  if (checkUnusedMocks) {
+    try {
+      verifyAllMocksUsed();
+    } catch (err) {
+      unusedMocksError = err;
+    }
+  }
+
+  if (checkActiveMocks) {
+    assertNoActiveMocks();
+  }
+  restoreAllMocks();
+
+  if (unusedMocksError) {
+    throw unusedMocksError;
+  }
 }
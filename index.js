@@ -1,4 +1,7 @@
+import * as crypto from "crypto";
+import * as fs from "fs";
 import * as pathModule from "path";
+import process from "process";
 
 const helperImportPath = "babel-plugin-mockable-imports/lib/helpers";
 
@@ -29,24 +32,685 @@ const EXCLUDE_LIST = [
  */
 const EXCLUDED_DIRS = ["test", "__tests__"];
 
-export default ({ types: t }) => {
+/**
+ * Comment which prevents the file containing it from being transformed.
+ */
+const DISABLE_COMMENT = "mockable-imports-disable";
+
+/**
+ * Comment which forces the file containing it to be transformed, even if it
+ * is excluded by the `excludeDirs`, `include` or `exclude` options.
+ */
+const ENABLE_COMMENT = "mockable-imports-enable";
+
+/**
+ * Comment which, when placed before an import declaration, import specifier,
+ * `require` declaration or dynamic import specifier, prevents the imports from
+ * being made mockable.
+ */
+const IGNORE_COMMENT = "mockable-imports-ignore";
+
+/**
+ * Supported values for the `exposeVia` option, which controls how the
+ * `$imports` object is made available to tests.
+ *
+ * - "export" adds an `$imports` export to the module
+ * - "registry" only registers the `$imports` object with the helpers module,
+ *   keyed by its path relative to Babel's `cwd`, so tests can look it up
+ *   using `getImports(path)`
+ *
+ * In "export" mode, the `$imports` object is also registered if the filename
+ * is known.
+ */
+const EXPOSE_VIA_OPTIONS = ["export", "registry"];
+
+/**
+ * Supported values for the `onProduction` option, which controls what happens
+ * if the plugin is used in a production build.
+ *
+ * - "error" throws an error, so that the build fails
+ * - "skip" leaves modules untransformed
+ * - "allow" transforms modules as in any other build
+ */
+const ON_PRODUCTION_OPTIONS = ["error", "skip", "allow"];
+
+/**
+ * Escape characters in `str` which have a special meaning in regular
+ * expressions.
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Split the contents of a `{a,b}` group in a glob into its alternatives.
+ *
+ * Commas inside nested groups do not separate alternatives of this group.
+ */
+function splitAlternatives(group) {
+  const alternatives = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < group.length; i++) {
+    if (group[i] === "{") {
+      ++depth;
+    } else if (group[i] === "}") {
+      --depth;
+    } else if (group[i] === "," && depth === 0) {
+      alternatives.push(group.slice(start, i));
+      start = i + 1;
+    }
+  }
+  alternatives.push(group.slice(start));
+  return alternatives;
+}
+
+/**
+ * Return the index of the `}` which closes the group starting at `start` in
+ * `glob`, or -1 if the group is not closed.
+ */
+function findGroupEnd(glob, start) {
+  let depth = 0;
+  for (let i = start; i < glob.length; i++) {
+    if (glob[i] === "{") {
+      ++depth;
+    } else if (glob[i] === "}" && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Convert a glob pattern to the source of a regular expression.
+ *
+ * See `globToRegExp`.
+ */
+function globToRegExpSource(glob) {
+  let regex = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      ++i;
+      if (glob[i + 1] === "/") {
+        ++i;
+        regex += "(?:.*/)?";
+      } else {
+        regex += ".*";
+      }
+    } else if (char === "*") {
+      regex += "[^/]*";
+    } else if (char === "?") {
+      regex += "[^/]";
+    } else if (char === "{" && findGroupEnd(glob, i) !== -1) {
+      // Alternatives may themselves contain glob syntax, eg.
+      // `{*.test,*.spec}.js`.
+      const end = findGroupEnd(glob, i);
+      const alternatives = splitAlternatives(glob.slice(i + 1, end));
+      regex += `(?:${alternatives.map(globToRegExpSource).join("|")})`;
+      i = end;
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+  return regex;
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ *
+ * Supported syntax:
+ *
+ * - `*` matches any characters except "/"
+ * - `**` matches any characters, including "/". `**` followed by "/" matches
+ *   zero or more directories
+ * - `?` matches any single character except "/"
+ * - `{a,b}` matches either `a` or `b`, where `a` and `b` are themselves globs
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${globToRegExpSource(glob)}$`);
+}
+
+/**
+ * Return true if a file matches any of `patterns`.
+ *
+ * @param {FilePattern|FilePattern[]} patterns
+ * @param {string} relativePath - Path of the file relative to Babel's root
+ *   directory, using "/" as a separator
+ * @param {string} filename - Absolute path of the file
+ */
+function matchesFilePattern(patterns, relativePath, filename) {
+  if (!Array.isArray(patterns)) {
+    patterns = [patterns];
+  }
+  return patterns.some(
+    (pattern) =>
+      (typeof pattern === "string" &&
+        globToRegExp(pattern).test(relativePath)) ||
+      (pattern instanceof RegExp && pattern.test(relativePath)) ||
+      (typeof pattern === "function" && pattern(relativePath, filename)),
+  );
+}
+
+/**
+ * Pattern used by the `include` and `exclude` options: a glob, a regular
+ * expression or a function which is passed the relative and absolute paths of
+ * a file.
+ *
+ * @typedef {string|RegExp|((relativePath: string, filename: string) => boolean)} FilePattern
+ */
+
+/**
+ * Version of the format of the manifest written when the `manifest` option is
+ * used.
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Time in milliseconds after which a lock on the manifest is assumed to have
+ * been left behind by a process that crashed while holding it.
+ */
+const MANIFEST_LOCK_TIMEOUT = 10000;
+
+/**
+ * Block the current thread for `ms` milliseconds.
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Call `callback` while holding an exclusive lock on the file at `path`.
+ *
+ * The lock is a `<path>.lock` file, which allows the lock to be shared between
+ * Babel processes running in parallel (eg. in worker processes of a bundler
+ * or test runner). This is used in `exit` handlers, which must run
+ * synchronously, so this blocks until the lock is acquired.
+ */
+function withFileLock(path, callback) {
+  const lockPath = `${path}.lock`;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") {
+        throw err;
+      }
+    }
+
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > MANIFEST_LOCK_TIMEOUT) {
+        fs.unlinkSync(lockPath);
+        continue;
+      }
+    } catch (err) {
+      // The lock was released since we tried to acquire it.
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+      continue;
+    }
+    sleep(10);
+  }
+
+  try {
+    return callback();
+  } finally {
+    fs.unlinkSync(lockPath);
+  }
+}
+
+/**
+ * Return the directory in which the entries of the manifest at `manifestPath`
+ * are stored.
+ *
+ * Each module's entry is stored in a separate file, so that Babel processes
+ * running in parallel (eg. worker processes of a bundler or test runner) can
+ * record modules without coordinating with each other. The entries are merged
+ * into the manifest when each process exits, or by `readManifest`.
+ */
+function manifestEntriesDir(manifestPath) {
+  return `${manifestPath}.entries`;
+}
+
+/**
+ * Manifests which this process has added entries to. These are written when
+ * the process exits.
+ *
+ * @type {Set<string>}
+ */
+const updatedManifests = new Set();
+
+/**
+ * Add or replace the entry for a module in the manifest at `manifestPath`.
+ *
+ * @param {string} manifestPath
+ * @param {string} filename - Absolute path of the module
+ * @param {string} moduleKey - Path of the module relative to Babel's `cwd`
+ * @param {ManifestEntry} entry
+ */
+function updateManifest(manifestPath, filename, moduleKey, entry) {
+  const entriesDir = manifestEntriesDir(manifestPath);
+  fs.mkdirSync(entriesDir, { recursive: true });
+
+  // Name entry files using a hash of the module path, which may be too long
+  // or contain characters that are not valid in a filename.
+  const hash = crypto.createHash("sha1").update(moduleKey).digest("hex");
+  const entryPath = pathModule.join(entriesDir, `${hash}.json`);
+
+  // Write to a temporary file and rename it, so that readers never see a
+  // partially written entry.
+  const tempPath = `${entryPath}.${process.pid}.tmp`;
+  fs.writeFileSync(
+    tempPath,
+    JSON.stringify({ filename, module: moduleKey, ...entry }),
+  );
+  fs.renameSync(tempPath, entryPath);
+
+  if (!updatedManifests.has(manifestPath)) {
+    updatedManifests.add(manifestPath);
+    process.once("exit", () => writeManifest(manifestPath));
+  }
+}
+
+/**
+ * Read the manifest at `manifestPath`, including entries recorded by Babel
+ * processes which are still running.
+ *
+ * The manifest file is only updated when a Babel process exits. Tools which
+ * need the latest entries while Babel is running (eg. in watch mode) can use
+ * this function instead of reading the file. Entries for modules which no
+ * longer exist are omitted.
+ *
+ * @param {string} manifestPath - Path of the manifest, as given to the
+ *   `manifest` option, relative to the current directory
+ * @return {{ version: number, modules: Record<string, ManifestEntry> }}
+ */
+export function readManifest(manifestPath) {
+  const entries = readManifestEntries(manifestPath)
+    .filter(({ stale }) => !stale)
+    .map(({ entry }) => entry);
+
+  // Sort modules so that the output does not depend on the order in which
+  // modules were processed.
+  entries.sort((a, b) => (a.module < b.module ? -1 : 1));
+  const modules = {};
+  entries.forEach(({ module, skipped, imports }) => {
+    modules[module] = { skipped, imports };
+  });
+  return { version: MANIFEST_VERSION, modules };
+}
+
+/**
+ * Read the entry files of the manifest at `manifestPath`.
+ *
+ * Entries are `stale` if the module they describe no longer exists (eg.
+ * because it was deleted or renamed since it was transformed).
+ */
+function readManifestEntries(manifestPath) {
+  const entriesDir = manifestEntriesDir(manifestPath);
+  let filenames = [];
+  try {
+    filenames = fs
+      .readdirSync(entriesDir)
+      .filter((filename) => filename.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+
+  return filenames.map((filename) => {
+    const entryPath = pathModule.join(entriesDir, filename);
+    const entry = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+    const stale = !fs.existsSync(entry.filename);
+    return { entryPath, entry, stale };
+  });
+}
+
+/**
+ * Merge the entries of the manifest at `manifestPath` into the manifest file.
+ */
+function writeManifest(manifestPath) {
+  // Skip the merge if the entries were removed while the process was running
+  // (eg. by a "clean" step of the build).
+  if (!fs.existsSync(manifestEntriesDir(manifestPath))) {
+    return;
+  }
+
+  // Merges are serialized so that a process which exits later, and so may
+  // have seen more entries, does not have its manifest replaced by that of a
+  // process which exited earlier.
+  withFileLock(manifestPath, () => {
+    // Remove entries for modules which have been deleted, so that they do not
+    // persist in the manifest across builds.
+    readManifestEntries(manifestPath)
+      .filter(({ stale }) => stale)
+      .forEach(({ entryPath }) => fs.rmSync(entryPath, { force: true }));
+
+    const manifest = readManifest(manifestPath);
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + "\n");
+    fs.renameSync(tempPath, manifestPath);
+  });
+}
+
+/**
+ * Entry in the manifest for a module processed by the plugin.
+ *
+ * @typedef ManifestEntry
+ * @prop {"disabledByComment"|"excludedDir"|"excludedFile"|"importsConflict"|null} skipped
+ *   Why the module was not transformed, or `null` if it was
+ * @prop {ManifestImport[]} imports - Imports in the module, or an empty
+ *   array if the module was skipped
+ */
+
+/**
+ * Details of an import recorded in the manifest.
+ *
+ * @typedef ManifestImport
+ * @prop {string|null} alias - Name of the property of `$imports` for the
+ *   import. This is `null` for excluded `export { name } from "source"`
+ *   re-exports
+ * @prop {string} source
+ * @prop {string} symbol - Imported symbol, or one of the special values used
+ *   in `$imports.$meta` (eg. "*" for namespace imports)
+ * @prop {boolean} excluded - True if the import was not made mockable because
+ *   its source matched `excludeImportsFromModules` or it was marked with an
+ *   ignore comment
+ */
+
+export default (api, options) => {
+  const { types: t } = api;
+
+  const onProduction = options.onProduction || "error";
+  if (!ON_PRODUCTION_OPTIONS.includes(onProduction)) {
+    throw new Error(
+      `Invalid "onProduction" option "${onProduction}". Expected one of: ${ON_PRODUCTION_OPTIONS.join(", ")}`,
+    );
+  }
+
+  // Babel's `envName` comes from `BABEL_ENV` if that is set, or can be set
+  // explicitly by tools which run Babel, so check `NODE_ENV` as well.
+  const isProductionEnv = api.env("production");
+  const isProductionNodeEnv =
+    api.cache.using(() => process.env.NODE_ENV) === "production";
+
+  if ((isProductionEnv || isProductionNodeEnv) && onProduction !== "allow") {
+    if (onProduction === "skip") {
+      return { visitor: {} };
+    }
+    const reason = isProductionEnv
+      ? `Babel's envName is "production"`
+      : `NODE_ENV is "production"`;
+    throw new Error(
+      `babel-plugin-mockable-imports should only be used in development and test builds, but ${reason}. ` +
+        `Remove the plugin from your production Babel config, or set the "onProduction" option to "skip" or "allow".`,
+    );
+  }
+
   /**
-   * Create an `$imports.$add(alias, source, symbol, value)` method call.
+   * Create an `$imports.$add(alias, source, symbol, value, resolvedSource)`
+   * method call.
+   *
+   * If `value` and `resolvedSource` are omitted, those arguments are omitted
+   * from the call.
    */
-  function createAddImportCall(alias, source, symbol, value) {
+  function createAddImportCall(
+    alias,
+    source,
+    symbol,
+    value,
+    resolvedSource,
+    method = "$add",
+  ) {
+    const args = [
+      t.stringLiteral(alias),
+      t.stringLiteral(source),
+      t.stringLiteral(symbol),
+    ];
+    if (value || resolvedSource) {
+      args.push(value || t.identifier("undefined"));
+    }
+    if (resolvedSource) {
+      args.push(t.stringLiteral(resolvedSource));
+    }
     return t.expressionStatement(
       t.callExpression(
-        t.memberExpression(t.identifier("$imports"), t.identifier("$add")),
-        [
-          t.stringLiteral(alias),
-          t.stringLiteral(source),
-          t.stringLiteral(symbol),
-          value,
-        ],
+        t.memberExpression(t.identifier("$imports"), t.identifier(method)),
+        args,
       ),
     );
   }
 
+  /**
+   * Create an `$imports.$addLive(alias, source, symbol, () => local,
+   * resolvedSource)` method call.
+   *
+   * This is used for ES imports, so that the `$imports` object reads the
+   * imported binding when it is used, rather than when it is registered.
+   * This preserves live bindings and avoids reading bindings which are not
+   * yet initialized due to circular imports.
+   */
+  function createAddLiveImportCall(
+    alias,
+    source,
+    symbol,
+    local,
+    resolvedSource,
+  ) {
+    return createAddImportCall(
+      alias,
+      source,
+      symbol,
+      t.arrowFunctionExpression([], local),
+      resolvedSource,
+      "$addLive",
+    );
+  }
+
+  /**
+   * Return the absolute path of the module imported by a relative specifier
+   * (eg. "./foo"), or `null` if the specifier is not relative or the current
+   * module's filename is not known.
+   *
+   * The path is registered with `$imports.$add` so that tests can refer to
+   * the module by its path instead of the specifier used to import it.
+   */
+  function resolveSource(state, source) {
+    const filename = state.file.opts.filename;
+    if (!filename || !/^\.\.?\//.test(source)) {
+      return null;
+    }
+    return pathModule.resolve(pathModule.dirname(filename), source);
+  }
+
+  /**
+   * Return true if `node` is a generated `$imports.$add(...)` or
+   * `$imports.$addLive(...)` call.
+   */
+  function isAddImportCall(node) {
+    const callee = node && node.callee;
+    return (
+      t.isMemberExpression(callee) &&
+      t.isIdentifier(callee.object) &&
+      callee.object.name === "$imports" &&
+      t.isIdentifier(callee.property) &&
+      (callee.property.name === "$add" || callee.property.name === "$addLive")
+    );
+  }
+
+  /**
+   * Return the module specifier of a dynamic `import(source)` call, or `null`
+   * if `node` is not a dynamic import or the specifier is not a static string.
+   */
+  function getDynamicImportSource(node) {
+    if (!t.isImport(node.callee) || node.arguments.length === 0) {
+      return null;
+    }
+    const arg = node.arguments[0];
+    if (t.isStringLiteral(arg)) {
+      return arg.value;
+    } else if (t.isTemplateLiteral(arg) && arg.expressions.length === 0) {
+      return arg.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  /**
+   * Return the alias under which a dynamic import of `source` is registered
+   * with `$imports.$add`.
+   *
+   * The alias is not a valid identifier, so it cannot conflict with the alias
+   * of a static import.
+   */
+  function dynamicImportAlias(source) {
+    return `import(${source})`;
+  }
+
+  /**
+   * Return the module specifier if `node` is a `require(source)` call, or
+   * `null` otherwise.
+   */
+  function getRequireSource(node, scope) {
+    if (
+      !t.isCallExpression(node) ||
+      !t.isIdentifier(node.callee, { name: "require" }) ||
+      // Ignore calls to a local function called `require`.
+      scope.hasBinding("require", /* noGlobals */ true) ||
+      node.arguments.length !== 1 ||
+      !t.isStringLiteral(node.arguments[0])
+    ) {
+      return null;
+    }
+    return node.arguments[0].value;
+  }
+
+  /**
+   * Return the name of the property accessed by a `object.name` or
+   * `object["name"]` member expression, or `null` if the property name is not
+   * static.
+   */
+  function getMemberPropertyName(node) {
+    if (!node.computed && t.isIdentifier(node.property)) {
+      return node.property.name;
+    } else if (node.computed && t.isStringLiteral(node.property)) {
+      return node.property.value;
+    }
+    return null;
+  }
+
+  /**
+   * Return the `[source, symbol]` of a CommonJS import, given the
+   * initializer of a variable declaration, or `null` if the initializer is
+   * not a CommonJS import.
+   *
+   * The symbol is `"<CJS>"` if the whole module is imported.
+   */
+  function getCommonJSImport(init, scope) {
+    // var foo = require('./foo')
+    const source = getRequireSource(init, scope);
+    if (source !== null) {
+      return [source, "<CJS>"];
+    }
+
+    if (!t.isMemberExpression(init)) {
+      return null;
+    }
+    const symbol = getMemberPropertyName(init);
+    if (symbol === null) {
+      return null;
+    }
+
+    // var foo = require('./foo').foo
+    // var foo = require('./foo')['foo']
+    const objectSource = getRequireSource(init.object, scope);
+    if (objectSource !== null) {
+      return [objectSource, symbol];
+    }
+
+    // var _foo = require('./foo'), foo = _foo.foo
+    //
+    // This is what `var { foo } = require('./foo')` is converted to by
+    // @babel/plugin-transform-destructuring, if it runs before this plugin.
+    if (t.isIdentifier(init.object)) {
+      const binding = scope.getBinding(init.object.name);
+      if (
+        binding &&
+        binding.kind !== "module" &&
+        t.isVariableDeclarator(binding.path.node)
+      ) {
+        const bindingSource = getRequireSource(
+          binding.path.node.init,
+          binding.path.scope,
+        );
+        if (bindingSource !== null) {
+          return [bindingSource, symbol];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Return true if `node` was generated by Babel, rather than parsed from the
+   * source file.
+   *
+   * This is used to skip `require` calls generated when Babel converts ES
+   * imports to CommonJS, as the original imports have already been processed.
+   * Nodes created by plugins have no source location.
+   */
+  function isGenerated(node) {
+    return !node.loc;
+  }
+
+  /**
+   * Return true if `node` is a TypeScript or Flow type-only import or export
+   * declaration or specifier (eg. `import type { Foo } from "./foo"` or
+   * `import { type Foo } from "./foo"`), which is removed when types are
+   * stripped.
+   */
+  function isTypeOnly(node) {
+    const kind = node.importKind || node.exportKind;
+    return kind === "type" || kind === "typeof";
+  }
+
+  /**
+   * Return true if `path` is part of a TypeScript or Flow type annotation, as
+   * opposed to an expression.
+   */
+  function isInTypeAnnotation(path) {
+    return path.findParent(
+      (p) =>
+        p.isTSType() ||
+        p.isTSTypeAnnotation() ||
+        (p.isFlow() && !p.isTypeCastExpression()),
+    );
+  }
+
+  /**
+   * Return true if `node` is a `module.exports = <expr>` assignment.
+   */
+  function isCommonJSExportAssignment(path) {
+    const left = path.node.left;
+    return (
+      t.isMemberExpression(left) &&
+      t.isIdentifier(left.object, { name: "module" }) &&
+      getMemberPropertyName(left) === "exports" &&
+      !path.scope.hasBinding("module", /* noGlobals */ true)
+    );
+  }
+
+  /**
+   * Return the alias under which an `export * from source` re-export is
+   * registered with `$imports.$add`.
+   */
+  function exportAllAlias(source) {
+    return `export*(${source})`;
+  }
+
   /**
    * Return true if imports from the module `source` should not be made
    * mockable.
@@ -60,19 +724,193 @@ export default ({ types: t }) => {
   }
 
   /**
-   * Return true if the current module should not be processed at all.
+   * Return true if `node` is preceded by a comment whose text is `text`.
+   */
+  function hasLeadingComment(node, text) {
+    return (node.leadingComments || []).some(
+      (comment) => comment.value.trim() === text,
+    );
+  }
+
+  /**
+   * Return true if the current file contains a comment whose text is `text`.
+   */
+  function fileHasComment(state, text) {
+    return (state.file.ast.comments || []).some(
+      (comment) => comment.value.trim() === text,
+    );
+  }
+
+  /**
+   * Return the reason why the current module should not be processed at all,
+   * or `null` if it should be processed.
+   *
+   * @return {"disabledByComment"|"excludedDir"|"excludedFile"|null}
    */
   function excludeModule(state) {
+    if (fileHasComment(state, DISABLE_COMMENT)) {
+      return "disabledByComment";
+    }
+    if (fileHasComment(state, ENABLE_COMMENT)) {
+      return null;
+    }
+
     const filename = state.file.opts.filename;
     if (!filename) {
       // No filename was supplied when Babel was run, assume this file should
       // be processed.
-      return false;
+      return null;
     }
 
     const excludeList = state.opts.excludeDirs || EXCLUDED_DIRS;
     const dirParts = pathModule.dirname(filename).split(pathModule.sep);
-    return dirParts.some((part) => excludeList.includes(part));
+    if (dirParts.some((part) => excludeList.includes(part))) {
+      return "excludedDir";
+    }
+
+    const { include, exclude } = state.opts;
+    const root = state.file.opts.root || state.cwd;
+    const relativePath = pathModule
+      .relative(root, filename)
+      .split(pathModule.sep)
+      .join("/");
+    if (
+      (include && !matchesFilePattern(include, relativePath, filename)) ||
+      (exclude && matchesFilePattern(exclude, relativePath, filename))
+    ) {
+      return "excludedFile";
+    }
+
+    return null;
+  }
+
+  /**
+   * Record an import in the module's manifest entry.
+   *
+   * This is used when the `manifest` option is set. Imports are recorded
+   * whether or not they are excluded from mocking.
+   */
+  function recordImport(state, alias, source, symbol, excluded = false) {
+    const key = JSON.stringify([alias, source, symbol]);
+    if (!state.manifestImports.has(key)) {
+      state.manifestImports.set(key, { alias, source, symbol, excluded });
+    }
+  }
+
+  /**
+   * Return the path of `filename` relative to Babel's `cwd`, using `/` as the
+   * separator.
+   */
+  function relativeModulePath(state, filename) {
+    return pathModule
+      .relative(state.cwd, filename)
+      .split(pathModule.sep)
+      .join("/");
+  }
+
+  /**
+   * Write the manifest entry for the current module, if the `manifest`
+   * option is set and the module's filename is known.
+   */
+  function writeManifestEntry(state) {
+    const filename = state.file.opts.filename;
+    if (!state.opts.manifest || !filename) {
+      return;
+    }
+    const manifestPath = pathModule.resolve(state.cwd, state.opts.manifest);
+    const moduleKey = relativeModulePath(state, filename);
+    updateManifest(manifestPath, filename, moduleKey, {
+      skipped: state.skipReason,
+      imports: state.skipReason ? [] : [...state.manifestImports.values()],
+    });
+  }
+
+  /**
+   * Create `$imports.$addReExport` calls which register `export { alias }`
+   * re-exports of imports in the module.
+   *
+   * The exports are left as exports of the imported bindings, so that they
+   * remain live bindings and are not read when the module is evaluated. This
+   * matters for "barrel" modules, which are often part of an import cycle.
+   * Other modules processed by the plugin which import the re-exported names
+   * see mocks installed using this module's `$imports` object instead.
+   */
+  function createReExportCalls(path, state) {
+    const reExportCalls = [];
+
+    path.get("body").forEach((stmt) => {
+      if (
+        !stmt.isExportNamedDeclaration() ||
+        stmt.node.source ||
+        stmt.node.declaration ||
+        isTypeOnly(stmt.node)
+      ) {
+        return;
+      }
+      stmt.node.specifiers.forEach((spec) => {
+        if (isTypeOnly(spec)) {
+          return;
+        }
+        const binding = path.scope.getBinding(spec.local.name);
+        if (!binding || !state.importIdentifiers.has(binding.identifier)) {
+          return;
+        }
+        const alias = state.importIdentifiers.get(binding.identifier);
+        const name = spec.exported.name || spec.exported.value;
+        reExportCalls.push(
+          t.expressionStatement(
+            t.callExpression(
+              t.memberExpression(
+                t.identifier("$imports"),
+                t.identifier("$addReExport"),
+              ),
+              [t.stringLiteral(name), t.stringLiteral(alias)],
+            ),
+          ),
+        );
+      });
+    });
+
+    return reExportCalls;
+  }
+
+  /**
+   * Create an expression which refers to the `$imports` object at `path`.
+   *
+   * Function declarations are hoisted, so they can be called before the
+   * statement which initializes `$imports` has run, eg. by a module which
+   * this module imports and which imports this module in turn. References in
+   * function declarations use `$getImports()`, which creates `$imports` if
+   * needed.
+   */
+  function createImportsRef(path) {
+    if (path.findParent((p) => p.isFunctionDeclaration())) {
+      return t.callExpression(t.identifier("$getImports"), []);
+    }
+    return t.identifier("$imports");
+  }
+
+  /**
+   * Return the key under which the module's `$imports` object is registered
+   * with the helpers module, or `null` if it should not be registered.
+   *
+   * This is the module's path relative to Babel's `cwd` if the filename is
+   * known, so that the output does not depend on where the project is
+   * located. Otherwise it is `import.meta.url` if the `exposeVia: "registry"`
+   * option is used, or `null` if not.
+   */
+  function createRegistryKey(state, exposeVia) {
+    const filename = state.file.opts.filename;
+    if (filename) {
+      return t.stringLiteral(relativeModulePath(state, filename));
+    }
+    if (exposeVia !== "registry") {
+      return null;
+    }
+    return t.memberExpression(
+      t.metaProperty(t.identifier("import"), t.identifier("meta")),
+      t.identifier("url"),
+    );
   }
 
   return {
@@ -92,9 +930,43 @@ export default ({ types: t }) => {
           // to generate the correct `$imports.<alias name>` reference.
           state.importIdentifiers = new Map();
 
+          // ES imports, which are registered with `$imports.$addLive` when
+          // `$imports` is created. Each entry is `[alias, source, symbol,
+          // local, resolvedSource]`.
+          state.liveImports = [];
+
+          // Set of module specifiers which are imported using dynamic
+          // `import(source)` calls.
+          state.dynamicImports = new Set();
+
+          // Subset of `state.dynamicImports` which are imported with an
+          // options argument, eg. `import(source, { with: { type: "json" } })`.
+          state.dynamicImportsWithOptions = new Set();
+
+          // Set of module specifiers which are re-exported using
+          // `export * from source`.
+          state.exportAllSources = new Set();
+
+          // Reason why processing of this file stopped, recorded in the
+          // manifest.
+          state.skipReason = excludeModule(state);
+
+          // Skip the file if it declares `$getImports`, which would conflict
+          // with the generated function of that name.
+          if (
+            state.skipReason === null &&
+            path.scope.hasOwnBinding("$getImports")
+          ) {
+            state.skipReason = "importsConflict";
+          }
+
           // Flag to keep track of whether further processing of this file has
           // stopped.
-          state.aborted = excludeModule(state);
+          state.aborted = state.skipReason !== null;
+
+          // Imports recorded in the manifest, keyed by alias, source and
+          // symbol.
+          state.manifestImports = new Map();
 
           // Set to `true` if a `module.exports = <expr>` expression was seen
           // in the module.
@@ -104,61 +976,234 @@ export default ({ types: t }) => {
         // Emit the code that generates the `$imports` object used by tests to
         // mock dependencies.
         exit(path, state) {
-          if (state.aborted || state.importIdentifiers.size === 0) {
+          writeManifestEntry(state);
+
+          if (
+            state.aborted ||
+            (state.importIdentifiers.size === 0 &&
+              state.dynamicImports.size === 0 &&
+              state.exportAllSources.size === 0)
+          ) {
             return;
           }
 
-          // Generate `import { ImportMap } from 'babel-plugin-mock/helpers'`
+          const exposeVia = state.opts.exposeVia || "export";
+          if (!EXPOSE_VIA_OPTIONS.includes(exposeVia)) {
+            throw new Error(
+              `Invalid "exposeVia" option "${exposeVia}". Expected one of: ${EXPOSE_VIA_OPTIONS.join(", ")}`,
+            );
+          }
+
+          const registryKey = createRegistryKey(state, exposeVia);
+
+          // Generate `import { ImportMap } from 'babel-plugin-mock/helpers'`.
+          // If the module declares a variable with the same name as a helper,
+          // the helper is imported under a unique name instead.
+          const helperNames = ["ImportMap"];
+          if (registryKey) {
+            helperNames.push("registerImports");
+          }
+          const helperIds = new Map(
+            helperNames.map((name) => [
+              name,
+              path.scope.hasBinding(name)
+                ? path.scope.generateUidIdentifier(name)
+                : t.identifier(name),
+            ]),
+          );
           const helperImport = t.importDeclaration(
-            [
+            helperNames.map((name) =>
               t.importSpecifier(
-                t.identifier("ImportMap"),
-                t.identifier("ImportMap"),
+                t.cloneNode(helperIds.get(name)),
+                t.identifier(name),
               ),
-            ],
+            ),
             t.stringLiteral(helperImportPath),
           );
 
-          const $importsDecl = t.variableDeclaration("const", [
-            t.variableDeclarator(
-              t.identifier("$imports"),
-              t.newExpression(t.identifier("ImportMap"), []),
+          // Generate `registerImports(<filename>, $imports)`
+          const registerStmt =
+            registryKey &&
+            t.expressionStatement(
+              t.callExpression(t.cloneNode(helperIds.get("registerImports")), [
+                registryKey,
+                t.identifier("$imports"),
+              ]),
+            );
+
+          // Generate the statement which exports `$imports`, unless it is only
+          // exposed via the registry.
+          let exposeImportsStmt = null;
+          if (exposeVia === "export" && state.hasCommonJSExportAssignment) {
+            // Generate `module.exports.$imports = $imports`
+            exposeImportsStmt = t.expressionStatement(
+              t.assignmentExpression(
+                "=",
+                t.memberExpression(
+                  t.memberExpression(
+                    t.identifier("module"),
+                    t.identifier("exports"),
+                  ),
+                  t.identifier("$imports"),
+                ),
+                t.identifier("$imports"),
+              ),
+            );
+          } else if (exposeVia === "export") {
+            exposeImportsStmt = t.exportNamedDeclaration(null, [
+              t.exportSpecifier(
+                t.identifier("$imports"),
+                t.identifier("$imports"),
+              ),
+            ]);
+          }
+
+          // Register dynamic imports. The value registered for these is a
+          // function which performs the import. If any `import(source)` call
+          // has an options argument (eg. import attributes), the function
+          // passes it on.
+          const dynamicAddCalls = [...state.dynamicImports].map((source) => {
+            const params = state.dynamicImportsWithOptions.has(source)
+              ? [t.identifier("options")]
+              : [];
+            return createAddImportCall(
+              dynamicImportAlias(source),
+              source,
+              "<dynamic>",
+              t.arrowFunctionExpression(
+                params,
+                t.callExpression(t.import(), [
+                  t.stringLiteral(source),
+                  ...params.map((param) => t.cloneNode(param)),
+                ]),
+              ),
+              resolveSource(state, source),
+            );
+          });
+
+          // Register `export * from source` re-exports. The names exported by
+          // these are not known until runtime, so they are registered only to
+          // enable `$imports.$mock` to report a helpful error.
+          const exportAllAddCalls = [...state.exportAllSources].map((source) =>
+            createAddImportCall(
+              exportAllAlias(source),
+              source,
+              "<export *>",
+              null,
+              resolveSource(state, source),
             ),
-          ]);
+          );
 
-          const exportImportsDecl = t.exportNamedDeclaration(null, [
-            t.exportSpecifier(
-              t.identifier("$imports"),
+          // Register ES imports. The local identifiers are cloned now rather
+          // than when the imports were visited, so that they reflect any
+          // renaming by other Babel plugins.
+          const liveAddCalls = state.liveImports.map(
+            ([alias, source, symbol, local, resolvedSource]) =>
+              createAddLiveImportCall(
+                alias,
+                source,
+                symbol,
+                t.cloneNode(local),
+                resolvedSource,
+              ),
+          );
+
+          // Generate `function $getImports() { ... }`, which creates
+          // `$imports` and registers the module's imports the first time it
+          // is called. This is a function declaration, so that it can be
+          // called before the module body runs. The imported bindings are
+          // read when they are used, so registering them early is safe.
+          //
+          // CommonJS imports are registered by the module body after each
+          // `require` call instead.
+          const getImportsDecl = t.functionDeclaration(
+            t.identifier("$getImports"),
+            [],
+            t.blockStatement([
+              t.ifStatement(
+                t.unaryExpression("!", t.identifier("$imports")),
+                t.blockStatement([
+                  t.expressionStatement(
+                    t.assignmentExpression(
+                      "=",
+                      t.identifier("$imports"),
+                      t.newExpression(
+                        t.cloneNode(helperIds.get("ImportMap")),
+                        [],
+                      ),
+                    ),
+                  ),
+                  ...(registerStmt ? [registerStmt] : []),
+                  ...dynamicAddCalls,
+                  ...exportAllAddCalls,
+                  ...liveAddCalls,
+                  ...createReExportCalls(path, state),
+                ]),
+              ),
+              t.returnStatement(t.identifier("$imports")),
+            ]),
+          );
+
+          // Generate `var $imports = $getImports()`
+          const $importsDecl = t.variableDeclaration("var", [
+            t.variableDeclarator(
               t.identifier("$imports"),
+              t.callExpression(t.identifier("$getImports"), []),
             ),
           ]);
 
           const body = path.get("body");
 
-          // Insert `$imports` declaration below last import.
-          const insertedNodes = body[0].insertAfter(helperImport);
-          const [varPath] = insertedNodes[0].insertAfter($importsDecl);
-          path.scope.registerDeclaration(varPath);
+          // Insert the helper import at the top of the file, so that the
+          // helpers module is evaluated before any of the module's other
+          // imports, which may call functions in this module.
+          body[0].insertBefore(helperImport);
+
+          // Insert the `$imports` declaration before the first statement
+          // which is not an import, as that statement may refer to `$imports`.
+          const firstStmt = body.find((stmt) => !stmt.isImportDeclaration());
+          const declPaths = firstStmt
+            ? firstStmt.insertBefore([$importsDecl, getImportsDecl])
+            : body[body.length - 1].insertAfter([$importsDecl, getImportsDecl]);
+          declPaths.forEach((declPath) =>
+            path.scope.registerDeclaration(declPath),
+          );
 
-          // Insert `export { $imports }` at the end of the file. The reason for
-          // inserting here is that this gets converted to `exports.$imports =
-          // $imports` if the file is later transpiled to CommonJS, and this
-          // must come after any `module.exports = <value>` assignments.
-          body[body.length - 1].insertAfter(exportImportsDecl);
+          if (exposeImportsStmt) {
+            // Insert `export { $imports }` at the end of the file. The reason
+            // for inserting here is that this gets converted to
+            // `exports.$imports = $imports` if the file is later transpiled to
+            // CommonJS, and this must come after any `module.exports = <value>`
+            // assignments.
+            //
+            // If the module replaces `module.exports`, then `exports` no
+            // longer refers to the module's exports, so
+            // `module.exports.$imports = $imports` is inserted instead.
+            body[body.length - 1].insertAfter(exposeImportsStmt);
+          }
         },
       },
 
       // Register ES6 imports.
       ImportDeclaration(path, state) {
-        if (state.aborted) {
+        // Type-only imports do not exist at runtime.
+        if (state.aborted || isTypeOnly(path.node)) {
           return;
         }
+        // `// mockable-imports-ignore` before the declaration ignores all of
+        // its specifiers.
+        const ignoreAll = hasLeadingComment(path.node, IGNORE_COMMENT);
+
         // Process import and add metadata to `state.importIdentifiers` map.
         path.node.specifiers.forEach((spec) => {
+          if (isTypeOnly(spec)) {
+            return;
+          }
           if (spec.local.name === "$imports") {
             // Abort processing the file if it declares an import called
             // `$imports`.
             state.aborted = true;
+            state.skipReason = "importsConflict";
             return;
           }
 
@@ -182,16 +1227,340 @@ export default ({ types: t }) => {
 
           const source = path.node.source.value;
           if (
+            ignoreAll ||
+            hasLeadingComment(spec, IGNORE_COMMENT) ||
             excludeImportsFrom(source, state.opts.excludeImportsFromModules)
           ) {
+            recordImport(state, spec.local.name, source, imported, true);
             return;
           }
 
+          recordImport(state, spec.local.name, source, imported);
           state.importIdentifiers.set(spec.local, spec.local.name);
-          path.insertAfter(
-            createAddImportCall(spec.local.name, source, imported, spec.local),
+          state.liveImports.push([
+            spec.local.name,
+            source,
+            imported,
+            spec.local,
+            resolveSource(state, source),
+          ]);
+        });
+      },
+
+      // Register CommonJS imports.
+      VariableDeclarator(path, state) {
+        if (state.aborted || !path.node.init) {
+          return;
+        }
+
+        // Only process top-level `require` calls.
+        const declPath = path.parentPath;
+        if (!declPath.parentPath.isProgram()) {
+          return;
+        }
+
+        const ignoreAll =
+          hasLeadingComment(declPath.node, IGNORE_COMMENT) ||
+          hasLeadingComment(path.node, IGNORE_COMMENT);
+
+        // List of `[local, source, symbol, ignored]` tuples.
+        const imports = [];
+        const id = path.node.id;
+        if (t.isIdentifier(id)) {
+          // var foo = require('./foo')
+          // var foo = require('./foo').foo
+          const cjsImport = getCommonJSImport(path.node.init, path.scope);
+          if (cjsImport && !isGenerated(id)) {
+            imports.push([id, ...cjsImport, ignoreAll]);
+          }
+        } else if (t.isObjectPattern(id)) {
+          // var { foo, bar: baz } = require('./foo')
+          const source = getRequireSource(path.node.init, path.scope);
+          if (source === null) {
+            return;
+          }
+          id.properties.forEach((prop) => {
+            if (!t.isObjectProperty(prop)) {
+              // Rest elements are not supported.
+              return;
+            }
+            const symbol = prop.computed
+              ? t.isStringLiteral(prop.key) && prop.key.value
+              : prop.key.name || prop.key.value;
+            let local = prop.value;
+            if (t.isAssignmentPattern(local)) {
+              // var { foo = defaultValue } = require('./foo')
+              local = local.left;
+            }
+            if (symbol && t.isIdentifier(local)) {
+              const ignored =
+                ignoreAll || hasLeadingComment(prop, IGNORE_COMMENT);
+              imports.push([local, source, symbol, ignored]);
+            }
+          });
+        }
+
+        imports.forEach(([local, source, symbol, ignored]) => {
+          if (local.name === "$imports") {
+            // Abort processing the file if it declares a variable called
+            // `$imports`.
+            state.aborted = true;
+            state.skipReason = "importsConflict";
+            return;
+          }
+          if (state.importIdentifiers.has(local)) {
+            // Import was already registered, eg. if this declaration was
+            // converted from a TypeScript `import foo = require("source")`.
+            return;
+          }
+          if (
+            ignored ||
+            excludeImportsFrom(source, state.opts.excludeImportsFromModules)
+          ) {
+            recordImport(state, local.name, source, symbol, true);
+            return;
+          }
+          recordImport(state, local.name, source, symbol);
+          state.importIdentifiers.set(local, local.name);
+          declPath.insertAfter(
+            createAddImportCall(
+              local.name,
+              source,
+              symbol,
+              t.cloneNode(local),
+              resolveSource(state, source),
+            ),
+          );
+        });
+      },
+
+      // Track `module.exports = <expr>` assignments.
+      AssignmentExpression(path, state) {
+        if (isCommonJSExportAssignment(path)) {
+          state.hasCommonJSExportAssignment = true;
+        }
+      },
+
+      // Track TypeScript `export = <expr>` assignments, which are compiled to
+      // `module.exports = <expr>`.
+      TSExportAssignment(path, state) {
+        state.hasCommonJSExportAssignment = true;
+      },
+
+      // Register TypeScript `import foo = require("source")` imports, which
+      // are compiled to CommonJS imports.
+      TSImportEqualsDeclaration(path, state) {
+        const { id, moduleReference } = path.node;
+        if (
+          state.aborted ||
+          isTypeOnly(path.node) ||
+          !t.isTSExternalModuleReference(moduleReference) ||
+          !path.parentPath.isProgram()
+        ) {
+          return;
+        }
+        const source = moduleReference.expression.value;
+        if (id.name === "$imports") {
+          state.aborted = true;
+          state.skipReason = "importsConflict";
+          return;
+        }
+        if (
+          hasLeadingComment(path.node, IGNORE_COMMENT) ||
+          excludeImportsFrom(source, state.opts.excludeImportsFromModules)
+        ) {
+          recordImport(state, id.name, source, "<CJS>", true);
+          return;
+        }
+        recordImport(state, id.name, source, "<CJS>");
+        state.importIdentifiers.set(id, id.name);
+        path.insertAfter(
+          createAddImportCall(
+            id.name,
+            source,
+            "<CJS>",
+            t.cloneNode(id),
+            resolveSource(state, source),
+          ),
+        );
+      },
+
+      // Convert `export { foo } from "source"` re-exports into an import
+      // followed by a re-export of the imported binding, so that the import is
+      // registered with `$imports` and the re-export with
+      // `$imports.$addReExport`.
+      ExportNamedDeclaration(path, state) {
+        if (state.aborted || !path.node.source || isTypeOnly(path.node)) {
+          return;
+        }
+        const source = path.node.source.value;
+        const getSymbol = (spec) =>
+          spec.type === "ExportNamespaceSpecifier"
+            ? "*"
+            : spec.local.name || spec.local.value;
+
+        // Specifiers which are left as re-exports from `source`, because the
+        // source is excluded, they are marked with an ignore comment or they
+        // are type-only.
+        const excludeAll =
+          excludeImportsFrom(source, state.opts.excludeImportsFromModules) ||
+          hasLeadingComment(path.node, IGNORE_COMMENT);
+        const ignoredSpecs = path.node.specifiers.filter(
+          (spec) =>
+            excludeAll ||
+            hasLeadingComment(spec, IGNORE_COMMENT) ||
+            isTypeOnly(spec),
+        );
+        ignoredSpecs
+          .filter((spec) => !isTypeOnly(spec))
+          .forEach((spec) =>
+            recordImport(state, null, source, getSymbol(spec), true),
+          );
+        if (ignoredSpecs.length === path.node.specifiers.length) {
+          return;
+        }
+
+        // Map of imported symbol to import specifier.
+        const importSpecifiers = new Map();
+        const exportSpecifiers = [];
+        path.node.specifiers.forEach((spec) => {
+          if (ignoredSpecs.includes(spec)) {
+            return;
+          }
+          const symbol = getSymbol(spec);
+          if (!importSpecifiers.has(symbol)) {
+            const local = path.scope.generateUidIdentifier(
+              symbol === "*" || symbol === "default"
+                ? spec.exported.name || spec.exported.value
+                : symbol,
+            );
+            let importSpec;
+            if (symbol === "*") {
+              // export * as foo from './foo'
+              importSpec = t.importNamespaceSpecifier(local);
+            } else if (symbol === "default") {
+              // export { default } from './foo'
+              importSpec = t.importDefaultSpecifier(local);
+            } else {
+              // export { foo } from './foo'
+              importSpec = t.importSpecifier(local, t.cloneNode(spec.local));
+            }
+            importSpecifiers.set(symbol, importSpec);
+          }
+          const local = importSpecifiers.get(symbol).local;
+          exportSpecifiers.push(
+            t.exportSpecifier(t.cloneNode(local), t.cloneNode(spec.exported)),
           );
         });
+
+        // Default and namespace specifiers must come before named specifiers.
+        // A namespace specifier cannot be combined with named specifiers, so
+        // a separate import is generated for it.
+        const specifiers = [...importSpecifiers.values()];
+        const namespaceSpecifiers = specifiers.filter((spec) =>
+          t.isImportNamespaceSpecifier(spec),
+        );
+        const otherSpecifiers = [
+          ...specifiers.filter((spec) => t.isImportDefaultSpecifier(spec)),
+          ...specifiers.filter((spec) => t.isImportSpecifier(spec)),
+        ];
+        const importDecls = [namespaceSpecifiers, otherSpecifiers]
+          .filter((specs) => specs.length > 0)
+          .map((specs) =>
+            t.importDeclaration(specs, t.cloneNode(path.node.source)),
+          );
+
+        const ignoredExportDecls =
+          ignoredSpecs.length > 0
+            ? [
+                t.exportNamedDeclaration(
+                  null,
+                  ignoredSpecs,
+                  t.cloneNode(path.node.source),
+                ),
+              ]
+            : [];
+
+        const newPaths = path.replaceWithMultiple([
+          ...importDecls,
+          t.exportNamedDeclaration(null, exportSpecifiers),
+          ...ignoredExportDecls,
+        ]);
+        newPaths
+          .filter((newPath) => newPath.isImportDeclaration())
+          .forEach((importPath) => path.scope.registerDeclaration(importPath));
+      },
+
+      // Register `export * from "source"` re-exports.
+      ExportAllDeclaration(path, state) {
+        if (state.aborted || isTypeOnly(path.node)) {
+          return;
+        }
+        const source = path.node.source.value;
+        if (
+          hasLeadingComment(path.node, IGNORE_COMMENT) ||
+          excludeImportsFrom(source, state.opts.excludeImportsFromModules)
+        ) {
+          recordImport(
+            state,
+            exportAllAlias(source),
+            source,
+            "<export *>",
+            true,
+          );
+          return;
+        }
+        recordImport(state, exportAllAlias(source), source, "<export *>");
+        state.exportAllSources.add(source);
+      },
+
+      // Replace dynamic `import(source)` calls with calls to a function on
+      // `$imports` which performs the import or returns the active mock.
+      CallExpression(path, state) {
+        if (state.aborted) {
+          return;
+        }
+
+        const source = getDynamicImportSource(path.node);
+        if (source === null) {
+          return;
+        }
+
+        // Ignore the import in generated `$imports.$add` calls.
+        const callExprParent = path.findParent((p) => p.isCallExpression());
+        if (callExprParent && isAddImportCall(callExprParent.node)) {
+          return;
+        }
+
+        // `import(/* mockable-imports-ignore */ "./module")` is not mockable.
+        const alias = dynamicImportAlias(source);
+        if (
+          hasLeadingComment(path.node.arguments[0], IGNORE_COMMENT) ||
+          excludeImportsFrom(source, state.opts.excludeImportsFromModules)
+        ) {
+          recordImport(state, alias, source, "<dynamic>", true);
+          return;
+        }
+
+        recordImport(state, alias, source, "<dynamic>");
+        state.dynamicImports.add(source);
+
+        // Pass the options argument of `import(source, options)`, if any, to
+        // the function which performs the import.
+        const options = path.node.arguments.slice(1);
+        if (options.length > 0) {
+          state.dynamicImportsWithOptions.add(source);
+        }
+        path.replaceWith(
+          t.callExpression(
+            t.memberExpression(
+              createImportsRef(path),
+              t.stringLiteral(alias),
+              true /* computed */,
+            ),
+            options,
+          ),
+        );
       },
 
       // Replace references to identifiers with `$imports.<identifier>`
@@ -211,20 +1580,24 @@ export default ({ types: t }) => {
 
         // Ignore the reference in generated `$imports.$add` calls.
         const callExprParent = child.findParent((p) => p.isCallExpression());
-        const callee = callExprParent && callExprParent.node.callee;
-        if (
-          callee &&
-          t.isMemberExpression(callee) &&
-          t.isIdentifier(callee.object) &&
-          callee.object.name === "$imports" &&
-          callee.property.name === "$add"
-        ) {
+        if (callExprParent && isAddImportCall(callExprParent.node)) {
+          return;
+        }
+
+        // Ignore references in type annotations, eg. `let foo: Foo`. These
+        // refer to the type of the import, not its runtime value.
+        if (isInTypeAnnotation(child)) {
+          return;
+        }
+
+        // Ignore the declared name in `import foo = require("source")`.
+        if (child.parentPath.isTSImportEqualsDeclaration()) {
           return;
         }
 
         // Do not replace occurrences in `export { identifier }` expressions.
-        // Ideally we *should* make these exports change to reflect mocking.
-        // Bailing out here means that such code will at least compile.
+        // These are registered with `$imports.$addReExport` when the whole
+        // module has been processed.
         if (child.parent.type === "ExportSpecifier") {
           return;
         }
@@ -232,6 +1605,9 @@ export default ({ types: t }) => {
         // Replace import reference with `$imports.<alias>`. Note that it is
         // important to use the same alias that was registered with `$imports.$add`,
         // even if the identifier was subsequently renamed by other Babel plugins.
+        //
+        // JSX element names cannot contain calls, so these always use
+        // `$imports`, even in function declarations.
         const alias = state.importIdentifiers.get(binding.identifier);
         if (
           child.parent.type === "JSXOpeningElement" ||
@@ -246,7 +1622,7 @@ export default ({ types: t }) => {
           );
         } else {
           child.replaceWith(
-            t.memberExpression(t.identifier("$imports"), t.identifier(alias)),
+            t.memberExpression(createImportsRef(child), t.identifier(alias)),
           );
         }
       },
@@ -0,0 +1,26 @@
+/**
+ * Integration with Jasmine, and other test runners which provide a global
+ * `afterEach` function, that restores mocks after each test.
+ *
+ * Call `installJasmineHooks` in a helper that is loaded before the tests, such
+ * as a file listed in Jasmine's `helpers` setting or at the start of Karma's
+ * `files` list.
+ */
+
+import { cleanUpMocks } from "./helpers.js";
+
+/**
+ * Register a global `afterEach` hook which restores mocks after each test.
+ *
+ * @param {import("./helpers.js").CleanUpOptions} [options]
+ */
+export function installJasmineHooks(options) {
+  if (typeof globalThis.afterEach !== "function") {
+    throw new Error(
+      "`installJasmineHooks` must be called in an environment with a global `afterEach` function",
+    );
+  }
+  globalThis.afterEach(() => {
+    cleanUpMocks(options);
+  });
+}
@@ -0,0 +1,9 @@
+import type { CleanUpOptions } from "./helpers.js";
+
+export interface MochaRootHooks {
+  afterEach(): void;
+}
+
+export function createMochaHooks(options?: CleanUpOptions): MochaRootHooks;
+
+export const mochaHooks: MochaRootHooks;
@@ -0,0 +1,29 @@
+/**
+ * Integration with Mocha which restores mocks after each test.
+ *
+ * Use it as a root hook plugin by loading it with Mocha's `--require` option:
+ *
+ * ```
+ * mocha --require babel-plugin-mockable-imports/lib/mocha
+ * ```
+ *
+ * To enable additional checks, create a module which exports hooks created by
+ * `createMochaHooks` and load that instead.
+ */
+
+import { cleanUpMocks } from "./helpers.js";
+
+/**
+ * Create Mocha root hooks which restore mocks after each test.
+ *
+ * @param {import("./helpers.js").CleanUpOptions} [options]
+ */
+export function createMochaHooks(options) {
+  return {
+    afterEach() {
+      cleanUpMocks(options);
+    },
+  };
+}
+
+export const mochaHooks = createMochaHooks();
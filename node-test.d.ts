@@ -0,0 +1,3 @@
+import type { CleanUpOptions } from "./helpers.js";
+
+export function installNodeTestHooks(options?: CleanUpOptions): void;
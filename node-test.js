@@ -0,0 +1,22 @@
+/**
+ * Integration with Node's built-in test runner which restores mocks after
+ * each test.
+ *
+ * Call `installNodeTestHooks` at the top level of a test file, or of a module
+ * loaded before the tests using Node's `--import` option.
+ */
+
+import { afterEach } from "node:test";
+
+import { cleanUpMocks } from "./helpers.js";
+
+/**
+ * Register an `afterEach` hook which restores mocks after each test.
+ *
+ * @param {import("./helpers.js").CleanUpOptions} [options]
+ */
+export function installNodeTestHooks(options) {
+  afterEach(() => {
+    cleanUpMocks(options);
+  });
+}
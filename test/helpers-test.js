@@ -1,6 +1,21 @@
+import { URL } from "url";
+
 import { assert } from "chai";
 
-import { ImportMap } from "../helpers.js";
+import {
+  ImportMap,
+  MockingError,
+  assertNoActiveMocks,
+  cleanUpMocks,
+  getActiveMocks,
+  getImports,
+  mockModule,
+  preMock,
+  registerImports,
+  restoreAllMocks,
+  restoreModule,
+  verifyAllMocksUsed,
+} from "../helpers.js";
 
 describe("helpers", () => {
   describe("ImportMap", () => {
@@ -42,6 +57,151 @@ describe("helpers", () => {
       });
     });
 
+    describe("$addLive", () => {
+      it("reads the value each time the import is read", () => {
+        let count = 1;
+        const map = new ImportMap();
+        map.$addLive("count", "./counter", "count", () => count);
+
+        assert.equal(map.count, 1);
+        count = 2;
+        assert.equal(map.count, 2);
+        assert.deepEqual(map.$meta.count, ["./counter", "count", 2]);
+      });
+
+      it("does not read the value when the import is registered", () => {
+        const map = new ImportMap();
+        map.$addLive("Widget", "./Widget", "default", () => {
+          throw new ReferenceError(
+            "Cannot access 'Widget' before initialization",
+          );
+        });
+        assert.deepEqual(map.$activeMocks(), []);
+      });
+
+      it("supports mocking and restoring the import", () => {
+        let count = 1;
+        const map = new ImportMap();
+        map.$addLive("count", "./counter", "count", () => count);
+
+        map.$mock({ "./counter": { count: 42 } });
+        count = 2;
+        assert.equal(map.count, 42);
+        assert.deepEqual(map.$activeMocks(), [
+          { alias: "count", source: "./counter", symbol: "count" },
+        ]);
+
+        map.$restore();
+        assert.equal(map.count, 2);
+      });
+    });
+
+    describe("$addReExport", () => {
+      const realLog = () => "real";
+      let barrelImports;
+      let appImports;
+
+      beforeEach(() => {
+        barrelImports = new ImportMap();
+        barrelImports.$addLive(
+          "_log",
+          "./logger",
+          "log",
+          () => realLog,
+          "/project/src/utils/logger",
+        );
+        barrelImports.$addReExport("log", "_log");
+        registerImports("/project/src/utils/index.js", barrelImports);
+
+        const barrel = { log: realLog };
+        appImports = new ImportMap();
+        appImports.$addLive(
+          "log",
+          "./utils",
+          "log",
+          () => barrel.log,
+          "/project/src/utils",
+        );
+        appImports.$addLive(
+          "utils",
+          "./utils",
+          "*",
+          () => barrel,
+          "/project/src/utils",
+        );
+      });
+
+      afterEach(() => {
+        restoreAllMocks();
+      });
+
+      it("applies mocks for re-exports to imports of the re-export", () => {
+        const mockLog = () => "mock";
+        barrelImports.$mock({ "./logger": { log: mockLog } });
+
+        assert.equal(appImports.log, mockLog);
+        assert.equal(appImports.utils.log, mockLog);
+        assert.deepEqual(appImports.$activeMocks(), []);
+
+        barrelImports.$restore();
+
+        assert.equal(appImports.log, realLog);
+        assert.equal(appImports.utils.log, realLog);
+      });
+
+      it("uses the latest instance of a module which is evaluated again", () => {
+        const newBarrelImports = new ImportMap();
+        newBarrelImports.$addLive(
+          "_log",
+          "./logger",
+          "log",
+          () => realLog,
+          "/project/src/utils/logger",
+        );
+        registerImports("/project/src/utils/index.js", newBarrelImports);
+        newBarrelImports.$addReExport("log", "_log");
+
+        const mockLog = () => "mock";
+        newBarrelImports.$mock({ "./logger": { log: mockLog } });
+        assert.equal(appImports.log, mockLog);
+
+        // Mocks installed using the previous instance are not seen.
+        newBarrelImports.$restore();
+        barrelImports.$mock({ "./logger": { log: () => "stale mock" } });
+        assert.equal(appImports.log, realLog);
+      });
+
+      it("finds modules registered with a relative path", () => {
+        const formatBarrelImports = new ImportMap();
+        formatBarrelImports.$addLive(
+          "_format",
+          "./format",
+          "format",
+          () => "real",
+          "/project/src/format/format",
+        );
+        formatBarrelImports.$addReExport("format", "_format");
+        registerImports("../project/src/format/index.js", formatBarrelImports);
+        appImports.$addLive(
+          "format",
+          "./format",
+          "format",
+          () => "real",
+          "/project/src/format",
+        );
+
+        formatBarrelImports.$mock({ "./format": { format: "mock" } });
+        assert.equal(appImports.format, "mock");
+      });
+
+      it("prefers mocks installed by the importing module", () => {
+        const mockLog = () => "mock";
+        barrelImports.$mock({ "./logger": { log: () => "barrel mock" } });
+        appImports.$mock({ "./utils": { log: mockLog } });
+        assert.equal(appImports.log, mockLog);
+      });
+    });
+
     describe("$mock", () => {
       it("replaces all matching aliases with mock values", () => {
         const map = new ImportMap({
@@ -75,6 +235,65 @@ describe("helpers", () => {
         assert.equal(map.second, "new-second-value");
       });
 
+      it("returns a handle that removes the mocks", () => {
+        const map = new ImportMap({
+          first: ["a-module", "first", "original-first-value"],
+          second: ["a-module", "second", "original-second-value"],
+        });
+
+        const undoBaseline = map.$mock({
+          "a-module": { first: "baseline-value", second: "baseline-value" },
+        });
+        const undoOverride = map.$mock({
+          "a-module": { first: "override-value" },
+        });
+        assert.equal(map.first, "override-value");
+        assert.equal(map.second, "baseline-value");
+
+        undoOverride();
+        assert.equal(map.first, "baseline-value");
+        assert.equal(map.second, "baseline-value");
+
+        // Calling the handle again does nothing.
+        undoOverride();
+        assert.equal(map.first, "baseline-value");
+
+        undoBaseline();
+        assert.equal(map.first, "original-first-value");
+        assert.equal(map.second, "original-second-value");
+      });
+
+      it("removes only the handle's layer if an earlier layer is removed", () => {
+        const map = new ImportMap({
+          first: ["a-module", "first", "original-first-value"],
+          second: ["a-module", "second", "original-second-value"],
+        });
+
+        const undoBaseline = map.$mock({
+          "a-module": { first: "baseline-value", second: "baseline-value" },
+        });
+        map.$mock({ "a-module": { first: "override-value" } });
+        undoBaseline();
+
+        assert.equal(map.first, "override-value");
+        assert.equal(map.second, "original-second-value");
+      });
+
+      if (typeof Symbol.dispose === "symbol") {
+        it("returns a handle that can be disposed with `Symbol.dispose`", () => {
+          const map = new ImportMap({
+            first: ["a-module", "first", "original-first-value"],
+          });
+          const handle = map.$mock({
+            "a-module": { first: "new-first-value" },
+          });
+
+          handle[Symbol.dispose]();
+
+          assert.equal(map.first, "original-first-value");
+        });
+      }
+
       it("throws if mock does not match any imported symbol", () => {
         const map = new ImportMap({
           ident: ["a-module", "ident", "ident-value"],
@@ -98,6 +317,86 @@ describe("helpers", () => {
         assert.deepEqual(map.aModule, { ident: "new-value" });
       });
 
+      it("merges mocks for namespace imports with the original namespace", () => {
+        const map = new ImportMap({
+          utils: [
+            "./utils",
+            "*",
+            { format: "real-format", parse: "real-parse" },
+          ],
+        });
+
+        map.$mock({ "./utils": { format: "fake-format" } });
+        assert.deepEqual(map.utils, {
+          format: "fake-format",
+          parse: "real-parse",
+        });
+
+        // Mocks in later layers are merged with those in earlier layers.
+        const undo = map.$mock({ "./utils": { parse: "fake-parse" } });
+        assert.deepEqual(map.utils, {
+          format: "fake-format",
+          parse: "fake-parse",
+        });
+
+        undo();
+        assert.deepEqual(map.utils, {
+          format: "fake-format",
+          parse: "real-parse",
+        });
+      });
+
+      it("throws if a mock for a namespace import is not an export of the namespace", () => {
+        const map = new ImportMap({
+          utils: [
+            "./utils",
+            "*",
+            { format: "real-format", parse: "real-parse" },
+          ],
+        });
+
+        let err;
+        try {
+          map.$mock({ "./utils": { fromat: "fake-format" } });
+        } catch (e) {
+          err = e;
+        }
+
+        assert.instanceOf(err, MockingError);
+        assert.equal(
+          err.message,
+          'Module imports "./utils" as a namespace, which does not export "fromat". Did you mean "format"?\n' +
+            'Imports: "./utils" (*)',
+        );
+        assert.equal(err.source, "./utils");
+        assert.equal(err.symbol, "fromat");
+        assert.deepEqual(err.availableSymbols, ["format", "parse"]);
+        assert.equal(err.suggestion, "format");
+
+        // Mocks which replace the whole namespace may add exports.
+        map.$mock(
+          { "./utils": { fromat: "fake-format" } },
+          { mergeNamespaces: false },
+        );
+      });
+
+      it("replaces namespace imports if `mergeNamespaces` is false", () => {
+        const map = new ImportMap({
+          utils: [
+            "./utils",
+            "*",
+            { format: "real-format", parse: "real-parse" },
+          ],
+        });
+
+        map.$mock(
+          { "./utils": { format: "fake-format" } },
+          { mergeNamespaces: false },
+        );
+
+        assert.deepEqual(map.utils, { format: "fake-format" });
+      });
+
       it("throws if a mock is supplied for a module that is not imported", () => {
         const map = new ImportMap({});
         assert.throws(() => {
@@ -105,6 +404,74 @@ describe("helpers", () => {
         }, 'Module does not import "ident" from "a-module"');
       });
 
+      it("suggests a source if the mock's source is misspelled", () => {
+        const map = new ImportMap({
+          log: ["./logger", "log", "log-value"],
+          format: ["./format", "default", "format-value"],
+        });
+        registerImports("/project/src/logging-app.js", map);
+
+        let err;
+        try {
+          map.$mock({ "./loger": { log: "new-value" } });
+        } catch (e) {
+          err = e;
+        }
+
+        assert.instanceOf(err, MockingError);
+        assert.equal(
+          err.message,
+          'Module does not import "log" from "./loger". Did you mean "./logger"?\n' +
+            'Imports: "./logger" (log), "./format" (default)\n' +
+            "Module under test: /project/src/logging-app.js",
+        );
+        assert.equal(err.module, "/project/src/logging-app.js");
+        assert.equal(err.source, "./loger");
+        assert.equal(err.symbol, "log");
+        assert.deepEqual(err.availableSources, ["./logger", "./format"]);
+        assert.deepEqual(err.availableSymbols, []);
+        assert.equal(err.suggestion, "./logger");
+      });
+
+      it("suggests a symbol if the mock's symbol is misspelled", () => {
+        const map = new ImportMap({
+          formatDate: ["./utils", "formatDate", "format-value"],
+          parseDate: ["./utils", "parseDate", "parse-value"],
+        });
+
+        let err;
+        try {
+          map.$mock({ "./utils": { fromatDate: "new-value" } });
+        } catch (e) {
+          err = e;
+        }
+
+        assert.instanceOf(err, MockingError);
+        assert.include(
+          err.message,
+          'Module does not import "fromatDate" from "./utils". Did you mean "formatDate"?',
+        );
+        assert.isNull(err.module);
+        assert.deepEqual(err.availableSymbols, ["formatDate", "parseDate"]);
+        assert.equal(err.suggestion, "formatDate");
+      });
+
+      it("does not suggest imports that are not similar to the mock", () => {
+        const map = new ImportMap({
+          ident: ["a-module", "ident", "ident-value"],
+        });
+
+        let err;
+        try {
+          map.$mock({ "./unrelated": { ident: "new-value" } });
+        } catch (e) {
+          err = e;
+        }
+
+        assert.isNull(err.suggestion);
+        assert.notInclude(err.message, "Did you mean");
+      });
+
       it("supports a shorthand for mocking non-object default exports", () => {
         const map = new ImportMap({
           Widget: ["./Widget", "default", function Widget() {}],
@@ -147,6 +514,132 @@ describe("helpers", () => {
         assert.equal(map.objectOne, objectOne);
       });
 
+      it("supports CommonJS imports", () => {
+        const map = new ImportMap({
+          aModule: ["a-module", "<CJS>", { ident: "ident-value" }],
+          ident: ["a-module", "ident", "ident-value"],
+          bModule: ["b-module", "<CJS>", function bModule() {}],
+        });
+        const mockB = () => {};
+
+        map.$mock({
+          "a-module": { ident: "new-value" },
+          "b-module": mockB,
+        });
+
+        assert.deepEqual(map.aModule, { ident: "new-value" });
+        assert.equal(map.ident, "new-value");
+        assert.equal(map.bModule, mockB);
+      });
+
+      it("supports CommonJS imports when passing a function to `$mock`", () => {
+        const map = new ImportMap({
+          aModule: ["a-module", "<CJS>", function aModule() {}],
+        });
+        const mockA = () => {};
+
+        map.$mock(() => mockA);
+
+        assert.equal(map.aModule, mockA);
+      });
+
+      it("supports mocking imports by resolved path or URL", () => {
+        const map = new ImportMap({
+          log: ["./logger", "log", "original-log", "/project/src/logger"],
+          format: [
+            "../format",
+            "default",
+            "original-format",
+            "/project/format",
+          ],
+          utils: [
+            "./utils",
+            "*",
+            { foo: "original-foo" },
+            "/project/src/utils",
+          ],
+          other: ["other", "default", "original-other"],
+        });
+
+        const mockFormat = () => {};
+
+        map.$mock({
+          "/project/src/logger.js": { log: "mock-log" },
+          "file:///project/format.ts": mockFormat,
+          [new URL("file:///project/src/utils/index.js")]: { foo: "bar" },
+        });
+
+        assert.equal(map.log, "mock-log");
+        assert.equal(map.format, mockFormat);
+        assert.deepEqual(map.utils, { foo: "bar" });
+
+        map.$restore();
+        map.$mock({ "/project/src/logger": { log: "mock-log-2" } });
+        assert.equal(map.log, "mock-log-2");
+      });
+
+      it("does not match imports by path if the resolved path is not known", () => {
+        const map = new ImportMap({
+          other: ["./other", "default", "original-other"],
+        });
+        assert.throws(() => {
+          map.$mock({ "/project/src/other.js": () => {} });
+        }, 'Module does not import "default" from "/project/src/other.js"');
+      });
+
+      it("supports dynamic imports", async () => {
+        const realWidget = {};
+        const map = new ImportMap({
+          "import(./Widget)": [
+            "./Widget",
+            "<dynamic>",
+            () => Promise.resolve(realWidget),
+          ],
+        });
+        const MockWidget = () => {};
+
+        map.$mock({ "./Widget": { default: MockWidget } });
+        const namespace = await map["import(./Widget)"]();
+        assert.equal(namespace.default, MockWidget);
+
+        map.$mock({ "./Widget": MockWidget });
+        const namespace2 = await map["import(./Widget)"]();
+        assert.equal(namespace2.default, MockWidget);
+
+        map.$restore();
+        assert.equal(await map["import(./Widget)"](), realWidget);
+      });
+
+      it("throws if a mock is supplied for a dynamic import that is not used", () => {
+        const map = new ImportMap({
+          "import(./Widget)": ["./Widget", "<dynamic>", () => {}],
+        });
+        assert.throws(() => {
+          map.$mock({ "./Header": { default: () => {} } });
+        }, 'Module does not import "default" from "./Header"');
+      });
+
+      it("does not pass dynamic imports to a `$mock` function", () => {
+        const loadWidget = () => {};
+        const map = new ImportMap({
+          "import(./Widget)": ["./Widget", "<dynamic>", loadWidget],
+        });
+        const mocker = () => () => {};
+
+        map.$mock(mocker);
+
+        assert.equal(map["import(./Widget)"], loadWidget);
+      });
+
+      it("throws if a mock is supplied for a module that is re-exported with `export *`", () => {
+        const map = new ImportMap({
+          "export*(./widgets)": ["./widgets", "<export *>", undefined],
+        });
+        assert.throws(() => {
+          map.$mock({ "./widgets": { Widget: () => {} } });
+        }, 'Module re-exports "./widgets" using `export *`, which cannot be mocked');
+      });
+
       it("does not process keys of `$mock` argument if it is a function", () => {
         const map = new ImportMap({
           foo: ["./foo", "foo", () => "original foo"],
@@ -163,70 +656,1068 @@ describe("helpers", () => {
       });
     });
 
-    describe("$restore", () => {
-      let map;
-      beforeEach(() => {
-        map = new ImportMap({
-          first: ["a-module", "first", "original-first-value"],
-          second: ["a-module", "second", "original-second-value"],
-          third: ["a-module", "first", "original-first-value"],
-          fourth: ["b-module", "foo", "original-foo-value"],
+    describe("$spy", () => {
+      function log(message) {
+        if (message === "fail") {
+          throw new Error("Failed to log");
+        }
+        return `logged ${message}`;
+      }
+
+      it("records calls and calls through to the original", () => {
+        const map = new ImportMap({
+          log: ["./logger", "log", log],
+        });
+
+        map.$spy({ "./logger": ["log"] });
+
+        const context = {};
+        assert.equal(map.log.call(context, "hello"), "logged hello");
+        assert.throws(() => map.log("fail"), "Failed to log");
+
+        assert.equal(map.log.calls.length, 2);
+        assert.deepEqual(map.log.calls[0], {
+          args: ["hello"],
+          thisValue: context,
+          returnValue: "logged hello",
         });
+        assert.deepEqual(map.log.calls[1].args, ["fail"]);
+        assert.equal(map.log.calls[1].error.message, "Failed to log");
       });
 
-      it("restores original property values", () => {
-        map.$mock({
-          "a-module": {
-            first: "new-first-value",
-            second: "new-second-value",
-          },
+      it("spies on exports of namespace and CommonJS imports", () => {
+        const format = () => "formatted";
+        const map = new ImportMap({
+          logger: ["./logger", "*", { log, level: 1 }],
+          utils: ["./utils", "<CJS>", { format, version: 2 }],
         });
 
-        map.$restore();
+        map.$spy({ "./logger": ["log"], "./utils": ["format"] });
 
-        assert.equal(map.first, "original-first-value");
-        assert.equal(map.second, "original-second-value");
-        assert.equal(map.third, "original-first-value");
+        assert.equal(map.logger.log("hello"), "logged hello");
+        assert.equal(map.logger.log.calls.length, 1);
+        assert.equal(map.logger.level, 1);
+        assert.equal(map.utils.format(), "formatted");
+        assert.equal(map.utils.format.calls.length, 1);
+        assert.equal(map.utils.version, 2);
       });
 
-      it("can be called multiple times", () => {
-        map.$mock({ "a-module": { first: "new-first-value" } });
-        map.$restore();
-        map.$restore();
+      it("supports spying on classes", () => {
+        class Widget {
+          constructor(name) {
+            this.name = name;
+          }
+        }
+        const map = new ImportMap({
+          Widget: ["./Widget", "default", Widget],
+        });
 
-        assert.equal(map.first, "original-first-value");
+        map.$spy({ "./Widget": ["default"] });
+        const widget = new map.Widget("button");
+
+        assert.instanceOf(widget, Widget);
+        assert.equal(widget.name, "button");
+        assert.equal(map.Widget.calls[0].returnValue, widget);
       });
 
-      it("restores specified modules if an argument is passed", () => {
-        map.$mock({
-          "a-module": {
-            first: "new-first-value",
-            second: "new-second-value",
+      it("is undone by `$restore` and the returned handle", () => {
+        const map = new ImportMap({
+          log: ["./logger", "log", log],
+        });
+
+        const undo = map.$spy({ "./logger": ["log"] });
+        undo();
+        assert.equal(map.log, log);
+
+        map.$spy({ "./logger": ["log"] });
+        map.$restore();
+        assert.equal(map.log, log);
+      });
+
+      it("throws if the import is not a function", () => {
+        const map = new ImportMap({
+          level: ["./logger", "level", 1],
+        });
+        assert.throws(
+          () => {
+            map.$spy({ "./logger": ["level"] });
           },
-          "b-module": {
-            foo: "new-foo-value",
+          MockingError,
+          'Cannot spy on "level" from "./logger"',
+        );
+      });
+
+      it("throws if the module does not import the symbol", () => {
+        const map = new ImportMap({
+          log: ["./logger", "log", log],
+        });
+        assert.throws(
+          () => {
+            map.$spy({ "./logger": ["warn"] });
           },
+          MockingError,
+          'Module does not import "warn" from "./logger"',
+        );
+      });
+    });
+
+    describe("$original", () => {
+      it("returns the original value of an import", () => {
+        const log = () => {};
+        const format = () => {};
+        const map = new ImportMap({
+          log: ["./logger", "log", log],
+          utils: ["./utils", "*", { format }],
         });
 
-        map.$restore({ "a-module": true });
+        map.$mock({
+          "./logger": { log: () => {} },
+          "./utils": { format: () => {} },
+        });
 
-        assert.equal(map.first, "original-first-value");
-        assert.equal(map.second, "original-second-value");
-        assert.equal(map.fourth, "new-foo-value");
+        assert.equal(map.$original("./logger", "log"), log);
+        assert.equal(map.$original("./utils", "format"), format);
       });
 
-      it("restores specified symbols if an argument is passed", () => {
+      it("can be used by mocks to delegate to the original", () => {
+        const map = new ImportMap({
+          fetchData: ["./api", "fetchData", (id) => `real ${id}`],
+        });
+
         map.$mock({
-          "a-module": {
-            first: "new-first-value",
-            second: "new-second-value",
+          "./api": {
+            fetchData: (id) =>
+              id === 1 ? "fake 1" : map.$original("./api", "fetchData")(id),
           },
         });
 
-        map.$restore({ "a-module": { first: true } });
+        assert.equal(map.fetchData(1), "fake 1");
+        assert.equal(map.fetchData(2), "real 2");
+      });
 
-        assert.equal(map.first, "original-first-value");
-        assert.equal(map.second, "new-second-value");
+      it("throws if the module does not import the symbol", () => {
+        const map = new ImportMap({
+          log: ["./logger", "log", () => {}],
+        });
+        assert.throws(
+          () => {
+            map.$original("./logger", "warn");
+          },
+          MockingError,
+          'Module does not import "warn" from "./logger"',
+        );
+      });
+    });
+
+    describe("$mockValue", () => {
+      function fetchJSON() {}
+      function otherFunction() {}
+      function fakeFetchJSON() {}
+
+      let map;
+      beforeEach(() => {
+        map = new ImportMap({
+          fetchJSON: ["./utils/fetch", "fetchJSON", fetchJSON],
+          getJSON: ["./utils", "fetchJSON", fetchJSON],
+          utils: ["./utils", "*", { fetchJSON, otherFunction }],
+          otherFunction: ["./utils", "otherFunction", otherFunction],
+        });
+      });
+
+      it("replaces every import with the original value", () => {
+        map.$mockValue(fetchJSON, fakeFetchJSON);
+
+        assert.equal(map.fetchJSON, fakeFetchJSON);
+        assert.equal(map.getJSON, fakeFetchJSON);
+        assert.equal(map.otherFunction, otherFunction);
+      });
+
+      it("replaces the value in namespace imports", () => {
+        map.$mockValue(fetchJSON, fakeFetchJSON);
+
+        assert.deepEqual(map.utils, {
+          fetchJSON: fakeFetchJSON,
+          otherFunction,
+        });
+      });
+
+      it("returns a handle that removes the mocks", () => {
+        map.$mock({ "./utils": { fetchJSON: "baseline-value" } });
+        const handle = map.$mockValue(fetchJSON, fakeFetchJSON);
+
+        handle();
+
+        assert.equal(map.fetchJSON, fetchJSON);
+        assert.equal(map.getJSON, "baseline-value");
+      });
+
+      it("is undone by `$restore`", () => {
+        map.$mockValue(fetchJSON, fakeFetchJSON);
+
+        map.$restore({ "./utils/fetch": true });
+        assert.equal(map.fetchJSON, fetchJSON);
+        assert.equal(map.getJSON, fakeFetchJSON);
+
+        map.$restore();
+        assert.equal(map.getJSON, fetchJSON);
+        assert.equal(map.utils.fetchJSON, fetchJSON);
+      });
+
+      it("throws if no import has the original value", () => {
+        assert.throws(() => {
+          map.$mockValue(fakeFetchJSON, () => {});
+        }, "Module does not import the value passed to `$mockValue`");
+      });
+    });
+
+    describe("$verifyMocksUsed", () => {
+      let map;
+      beforeEach(() => {
+        map = new ImportMap({
+          first: ["a-module", "first", "original-first-value"],
+          second: ["a-module", "second", "original-second-value"],
+          third: ["a-module", "first", "original-first-value"],
+          bModule: ["b-module", "*", { foo: "original-foo-value" }],
+        });
+      });
+
+      it("does not throw if no mocks were installed", () => {
+        map.$verifyMocksUsed();
+      });
+
+      it("does not throw if all mocks were used", () => {
+        map.$mock({
+          "a-module": { first: "new-first-value" },
+          "b-module": { foo: "new-foo-value" },
+        });
+
+        // Read one of the two aliases that `first` was applied to.
+        map.third;
+        map.bModule.foo;
+
+        map.$verifyMocksUsed();
+      });
+
+      it("throws if mocks were not used", () => {
+        map.$mock({
+          "a-module": { first: "new-first-value", second: "new-second-value" },
+          "b-module": { foo: "new-foo-value" },
+        });
+        map.second;
+
+        assert.throws(() => {
+          map.$verifyMocksUsed();
+        }, 'The following mocks were installed but not used: "first" from "a-module", "foo" from "b-module"');
+      });
+
+      it("ignores reads that happened before the mock was installed", () => {
+        map.first;
+        map.$mock({ "a-module": { first: "new-first-value" } });
+
+        assert.throws(() => {
+          map.$verifyMocksUsed();
+        }, '"first" from "a-module"');
+      });
+
+      it("ignores mocks that are hidden by later mocks", () => {
+        map.$mock({ "a-module": { first: "baseline-value" } });
+        map.$mock({ "a-module": { first: "override-value" } });
+        map.first;
+
+        map.$verifyMocksUsed();
+      });
+
+      it("ignores mocks that have been restored", () => {
+        map.$mock({ "a-module": { first: "new-first-value", second: "x" } });
+        map.$restore({ "a-module": { first: true } });
+        map.second;
+
+        map.$verifyMocksUsed();
+
+        map.$restore();
+        map.$verifyMocksUsed();
+      });
+    });
+
+    describe("$trace", () => {
+      let map;
+      beforeEach(() => {
+        map = new ImportMap({
+          first: ["a-module", "first", "original-first-value"],
+          second: ["a-module", "second", "original-second-value"],
+        });
+      });
+
+      it("does not record reads if tracing is disabled", () => {
+        map.first;
+        assert.deepEqual(map.$takeTrace(), []);
+      });
+
+      it("records reads of original values and mocks", () => {
+        map.$trace();
+        map.first;
+        map.first;
+        map.$mock({ "a-module": { first: "new-first-value" } });
+        map.first;
+        map.second;
+
+        assert.deepEqual(map.$takeTrace(), [
+          {
+            alias: "first",
+            source: "a-module",
+            symbol: "first",
+            mocked: false,
+            count: 2,
+          },
+          {
+            alias: "first",
+            source: "a-module",
+            symbol: "first",
+            mocked: true,
+            count: 1,
+          },
+          {
+            alias: "second",
+            source: "a-module",
+            symbol: "second",
+            mocked: false,
+            count: 1,
+          },
+        ]);
+      });
+
+      it("clears recorded reads when trace is taken", () => {
+        map.$trace();
+        map.first;
+        map.$takeTrace();
+        assert.deepEqual(map.$takeTrace(), []);
+      });
+
+      it("stops recording reads when tracing is disabled", () => {
+        map.$trace();
+        map.first;
+        map.$trace(false);
+        map.first;
+        assert.deepEqual(map.$takeTrace(), []);
+      });
+    });
+
+    describe("$withMocks", () => {
+      let map;
+      beforeEach(() => {
+        map = new ImportMap({
+          first: ["a-module", "first", "original-first-value"],
+          second: ["a-module", "second", "original-second-value"],
+        });
+      });
+
+      it("installs mocks while the callback runs", () => {
+        const result = map.$withMocks(
+          { "a-module": { first: "new-first-value" } },
+          () => map.first,
+        );
+        assert.equal(result, "new-first-value");
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores mocks if the callback throws", () => {
+        assert.throws(() => {
+          map.$withMocks({ "a-module": { first: "new-first-value" } }, () => {
+            throw new Error("Callback failed");
+          });
+        }, "Callback failed");
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores mocks when the returned promise resolves", async () => {
+        let resolve;
+        const result = map.$withMocks(
+          { "a-module": { first: "new-first-value" } },
+          () => new Promise((resolve_) => (resolve = resolve_)),
+        );
+        assert.equal(map.first, "new-first-value");
+
+        resolve("result");
+        assert.equal(await result, "result");
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores mocks when the returned promise rejects", async () => {
+        const result = map.$withMocks(
+          { "a-module": { first: "new-first-value" } },
+          async () => {
+            throw new Error("Callback failed");
+          },
+        );
+        assert.equal(map.first, "new-first-value");
+
+        let err;
+        try {
+          await result;
+        } catch (e) {
+          err = e;
+        }
+        assert.equal(err.message, "Callback failed");
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores only the mocks that it installed", () => {
+        map.$withMocks({ "a-module": { first: "new-first-value" } }, () => {
+          map.$mock({ "a-module": { second: "new-second-value" } });
+        });
+        assert.equal(map.first, "original-first-value");
+        assert.equal(map.second, "new-second-value");
+      });
+
+      it("restores mocks from enclosing calls", () => {
+        map.$withMocks({ "a-module": { first: "outer-value" } }, () => {
+          map.$withMocks({ "a-module": { first: "inner-value" } }, () => {
+            assert.equal(map.first, "inner-value");
+          });
+          assert.equal(map.first, "outer-value");
+        });
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores records of mocks used by `$verifyMocksUsed`", () => {
+        map.$withMocks({ "a-module": { first: "outer-value" } }, () => {
+          map.$withMocks({ "a-module": { second: "inner-value" } }, () => {});
+          assert.throws(() => {
+            map.$verifyMocksUsed();
+          }, 'not used: "first" from "a-module"');
+        });
+        map.$verifyMocksUsed();
+      });
+    });
+
+    describe("$mockAll", () => {
+      class Widget {
+        static create() {
+          return new Widget();
+        }
+
+        render() {
+          return "real render";
+        }
+      }
+
+      class FancyWidget extends Widget {
+        animate() {}
+      }
+
+      function formatName(name) {
+        return name.toUpperCase();
+      }
+
+      let map;
+      beforeEach(() => {
+        const utils = { formatName, nested: { formatName }, limit: 10 };
+        utils.self = utils;
+
+        map = new ImportMap({
+          formatName: ["./utils", "formatName", formatName],
+          utils: ["./utils", "*", utils],
+          Widget: ["./widget", "default", Widget],
+          FancyWidget: ["./widget", "FancyWidget", FancyWidget],
+          widget: ["./widget", "widget", new FancyWidget()],
+          limit: ["./config", "limit", 10],
+        });
+      });
+
+      it("mocks functions", () => {
+        map.$mockAll();
+
+        assert.notEqual(map.formatName, formatName);
+        assert.equal(map.formatName.name, "formatName");
+        const mockFormatName = map.formatName;
+        assert.isUndefined(mockFormatName("foo"));
+        assert.deepEqual(mockFormatName.calls, [
+          { args: ["foo"], thisValue: undefined },
+        ]);
+      });
+
+      it("mocks classes", () => {
+        map.$mockAll();
+
+        const widget = new map.FancyWidget("arg");
+        assert.instanceOf(widget, map.FancyWidget);
+        assert.deepEqual(map.FancyWidget.calls[0].args, ["arg"]);
+        assert.isUndefined(widget.render());
+        assert.equal(map.FancyWidget.prototype.render.calls.length, 1);
+        assert.isFunction(widget.animate);
+        assert.isUndefined(map.Widget.create());
+      });
+
+      it("mocks objects and namespaces recursively", () => {
+        map.$mockAll();
+
+        assert.isUndefined(map.utils.formatName("foo"));
+        assert.isUndefined(map.utils.nested.formatName("foo"));
+        assert.equal(map.utils.limit, 10);
+        assert.equal(map.utils.self, map.utils);
+      });
+
+      it("mocks methods of class instances", () => {
+        map.$mockAll();
+
+        assert.isUndefined(map.widget.render());
+        assert.isFunction(map.widget.animate);
+      });
+
+      it("does not mock other values", () => {
+        map.$mockAll();
+        assert.equal(map.limit, 10);
+      });
+
+      it("only mocks imports from included sources", () => {
+        map.$mockAll({ include: ["./utils", /widget/] });
+
+        assert.notEqual(map.formatName, formatName);
+        assert.notEqual(map.Widget, Widget);
+      });
+
+      it("does not mock imports from excluded sources", () => {
+        map.$mockAll({
+          exclude: (source, symbol) => symbol === "default",
+        });
+
+        assert.notEqual(map.formatName, formatName);
+        assert.equal(map.Widget, Widget);
+      });
+
+      it("allows mocks to be overridden with `$mock`", () => {
+        const fakeFormatName = () => "fake";
+        map.$mockAll();
+        map.$mock({ "./utils": { formatName: fakeFormatName } });
+        assert.equal(map.formatName, fakeFormatName);
+      });
+
+      it("is undone by `$restore`", () => {
+        map.$mockAll();
+        map.$restore();
+        assert.equal(map.formatName, formatName);
+        assert.equal(map.Widget, Widget);
+      });
+    });
+
+    describe("$restore", () => {
+      let map;
+      beforeEach(() => {
+        map = new ImportMap({
+          first: ["a-module", "first", "original-first-value"],
+          second: ["a-module", "second", "original-second-value"],
+          third: ["a-module", "first", "original-first-value"],
+          fourth: ["b-module", "foo", "original-foo-value"],
+        });
+      });
+
+      it("restores original property values", () => {
+        map.$mock({
+          "a-module": {
+            first: "new-first-value",
+            second: "new-second-value",
+          },
+        });
+
+        map.$restore();
+
+        assert.equal(map.first, "original-first-value");
+        assert.equal(map.second, "original-second-value");
+        assert.equal(map.third, "original-first-value");
+      });
+
+      it("restores mocks for individual exports of namespace imports", () => {
+        map = new ImportMap({
+          utils: [
+            "./utils",
+            "*",
+            { format: "real-format", parse: "real-parse" },
+          ],
+        });
+        map.$mock({
+          "./utils": { format: "fake-format", parse: "fake-parse" },
+        });
+
+        map.$restore({ "./utils": { format: true } });
+        assert.deepEqual(map.utils, {
+          format: "real-format",
+          parse: "fake-parse",
+        });
+
+        map.$restore({ "./utils": { parse: true } });
+        assert.deepEqual(map.utils, {
+          format: "real-format",
+          parse: "real-parse",
+        });
+        assert.deepEqual(map.$activeMocks(), []);
+      });
+
+      it("restores mocks by resolved path", () => {
+        map = new ImportMap({
+          log: ["./logger", "log", "original-log", "/project/src/logger"],
+          warn: ["./logger", "warn", "original-warn", "/project/src/logger"],
+        });
+        map.$mock({ "./logger": { log: "mock-log", warn: "mock-warn" } });
+
+        map.$restore({ "/project/src/logger.js": { log: true } });
+        assert.equal(map.log, "original-log");
+        assert.equal(map.warn, "mock-warn");
+
+        map.$restore({ "file:///project/src/logger.js": true });
+        assert.equal(map.warn, "original-warn");
+      });
+
+      it("can be called multiple times", () => {
+        map.$mock({ "a-module": { first: "new-first-value" } });
+        map.$restore();
+        map.$restore();
+
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores original values if there are multiple layers of mocks", () => {
+        map.$mock({ "a-module": { first: "first-layer-value" } });
+        map.$mock({ "a-module": { first: "second-layer-value" } });
+
+        map.$restore({ "a-module": { first: true } });
+        assert.equal(map.first, "original-first-value");
+
+        map.$mock({ "a-module": { first: "first-layer-value" } });
+        map.$mock({ "a-module": { first: "second-layer-value" } });
+
+        map.$restore();
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores values assigned directly to aliases", () => {
+        map.first = "assigned-value";
+        assert.equal(map.first, "assigned-value");
+
+        map.$restore();
+        assert.equal(map.first, "original-first-value");
+      });
+
+      it("restores specified modules if an argument is passed", () => {
+        map.$mock({
+          "a-module": {
+            first: "new-first-value",
+            second: "new-second-value",
+          },
+          "b-module": {
+            foo: "new-foo-value",
+          },
+        });
+
+        map.$restore({ "a-module": true });
+
+        assert.equal(map.first, "original-first-value");
+        assert.equal(map.second, "original-second-value");
+        assert.equal(map.fourth, "new-foo-value");
+      });
+
+      it("restores specified symbols if an argument is passed", () => {
+        map.$mock({
+          "a-module": {
+            first: "new-first-value",
+            second: "new-second-value",
+          },
+        });
+
+        map.$restore({ "a-module": { first: true } });
+
+        assert.equal(map.first, "original-first-value");
+        assert.equal(map.second, "new-second-value");
+      });
+    });
+  });
+
+  describe("getImports", () => {
+    const appImports = new ImportMap();
+    const utilImports = new ImportMap();
+    const otherUtilImports = new ImportMap();
+
+    before(() => {
+      registerImports("/project/src/app.js", appImports);
+      registerImports("file:///project/src/util.js", utilImports);
+      registerImports("/project/src/other/util.js", otherUtilImports);
+    });
+
+    it("returns imports for a module given its path", () => {
+      assert.equal(getImports("/project/src/app.js"), appImports);
+      assert.equal(getImports("/project/src/util.js"), utilImports);
+    });
+
+    it("returns imports for a module given its URL", () => {
+      assert.equal(getImports("file:///project/src/app.js"), appImports);
+      assert.equal(
+        getImports(new URL("file:///project/src/app.js")),
+        appImports,
+      );
+    });
+
+    it("returns imports for a module given the end of its path", () => {
+      assert.equal(getImports("src/app.js"), appImports);
+      assert.equal(getImports("./src/app"), appImports);
+      assert.equal(getImports("other/util.js"), otherUtilImports);
+    });
+
+    it("returns imports for a module registered with a relative path", () => {
+      // The plugin registers modules using their path relative to Babel's
+      // `cwd`.
+      const widgetImports = new ImportMap();
+      registerImports("lib/widget.js", widgetImports);
+
+      assert.equal(getImports("lib/widget.js"), widgetImports);
+      assert.equal(getImports("/project/lib/widget.js"), widgetImports);
+      assert.equal(
+        getImports(new URL("file:///project/lib/widget")),
+        widgetImports,
+      );
+    });
+
+    it("throws if no module matches", () => {
+      assert.throws(() => {
+        getImports("src/unknown.js");
+      }, 'No module matching "src/unknown.js" has registered its imports');
+    });
+
+    it("throws if multiple modules match", () => {
+      assert.throws(() => {
+        getImports("util.js");
+      }, 'Multiple modules match "util.js"');
+    });
+
+    it("returns imports exported by a module namespace", () => {
+      const imports = new ImportMap();
+      const module = Object.freeze({ doSomething() {}, $imports: imports });
+      assert.equal(getImports(module), imports);
+    });
+
+    it("throws if a module namespace does not export imports", () => {
+      assert.throws(() => {
+        getImports({ doSomething() {} });
+      }, "Module does not export `$imports`");
+    });
+  });
+
+  describe("global mock helpers", () => {
+    let appImports;
+    let utilImports;
+    let unregisteredImports;
+
+    beforeEach(() => {
+      // Restore mocks left by other tests.
+      restoreAllMocks();
+
+      appImports = new ImportMap({
+        log: ["./logger", "log", () => {}],
+        fetch: ["./api", "fetch", () => {}],
+      });
+      registerImports("/project/src/app.js", appImports);
+
+      utilImports = new ImportMap({
+        format: ["./format", "default", () => {}],
+      });
+      registerImports("/project/src/util.js", utilImports);
+
+      unregisteredImports = new ImportMap({
+        format: ["./format", "default", () => {}],
+      });
+    });
+
+    describe("restoreAllMocks", () => {
+      it("restores mocks in every module", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        utilImports.$mock({ "./format": () => {} });
+
+        restoreAllMocks();
+
+        assert.deepEqual(appImports.$activeMocks(), []);
+        assert.deepEqual(utilImports.$activeMocks(), []);
+      });
+    });
+
+    describe("mockModule", () => {
+      const realGet = () => "real-get";
+      const realPost = () => "real-post";
+      const realDelete = () => "real-delete";
+      const fakeGet = () => "fake-get";
+      const fakePost = () => "fake-post";
+
+      let pageImports;
+      let widgetImports;
+      let clientImports;
+
+      beforeEach(() => {
+        pageImports = new ImportMap({
+          get: ["./api-client", "get", realGet, "/project/src/api-client"],
+        });
+        widgetImports = new ImportMap({
+          post: ["../api-client", "post", realPost, "/project/src/api-client"],
+          apiClient: [
+            "../api-client",
+            "*",
+            { get: realGet, post: realPost, delete: realDelete },
+            "/project/src/api-client",
+          ],
+        });
+        clientImports = new ImportMap({
+          get: ["api-client", "get", realGet],
+        });
+      });
+
+      it("mocks the module in every module that imports it", () => {
+        mockModule("src/api-client.js", { get: fakeGet, post: fakePost });
+
+        assert.equal(pageImports.get, fakeGet);
+        assert.equal(widgetImports.post, fakePost);
+        assert.deepEqual(widgetImports.apiClient, {
+          get: fakeGet,
+          post: fakePost,
+          delete: realDelete,
+        });
+
+        // The specifier "api-client" is not a relative import of the module.
+        assert.equal(clientImports.get, realGet);
+      });
+
+      it("matches imports by specifier, absolute path or URL", () => {
+        mockModule("api-client", { get: fakeGet });
+        assert.equal(clientImports.get, fakeGet);
+
+        mockModule("/project/src/api-client.js", { get: fakeGet });
+        assert.equal(pageImports.get, fakeGet);
+
+        mockModule(new URL("file:///project/src/api-client.js"), {
+          post: fakePost,
+        });
+        assert.equal(widgetImports.post, fakePost);
+      });
+
+      it("mocks the module in modules loaded later", () => {
+        mockModule("src/api-client.js", { get: fakeGet });
+
+        const laterImports = new ImportMap();
+        laterImports.$add(
+          "get",
+          "./api-client",
+          "get",
+          realGet,
+          "/project/src/api-client",
+        );
+        laterImports.$add("post", "./api-client", "post", realPost);
+
+        assert.equal(laterImports.get, fakeGet);
+        assert.equal(laterImports.post, realPost);
+      });
+
+      it("returns a handle that removes the mocks", () => {
+        const restore = mockModule("src/api-client.js", { get: fakeGet });
+
+        restore();
+
+        assert.equal(pageImports.get, realGet);
+        const laterImports = new ImportMap({
+          get: ["./api-client", "get", realGet, "/project/src/api-client"],
+        });
+        assert.equal(laterImports.get, realGet);
+      });
+
+      it("removes the mocks when `restoreModule` is called", () => {
+        mockModule("src/api-client.js", { get: fakeGet });
+        mockModule("api-client", { get: fakeGet });
+
+        restoreModule("src/api-client.js");
+
+        assert.equal(pageImports.get, realGet);
+        assert.equal(clientImports.get, fakeGet);
+      });
+
+      it("removes the mocks when `restoreAllMocks` is called", () => {
+        mockModule("src/api-client.js", { get: fakeGet });
+
+        restoreAllMocks();
+
+        assert.equal(pageImports.get, realGet);
+        const laterImports = new ImportMap({
+          get: ["./api-client", "get", realGet, "/project/src/api-client"],
+        });
+        assert.equal(laterImports.get, realGet);
+      });
+
+      it("throws if no module imports a mocked symbol", () => {
+        assert.throws(() => {
+          mockModule("api-client", { get: fakeGet, gte: fakeGet });
+        }, 'No module imports "gte" from "api-client"');
+
+        // Mocks for other symbols are not installed.
+        assert.equal(clientImports.get, realGet);
+      });
+
+      it("does not throw if the module is imported as a whole", () => {
+        mockModule("src/api-client.js", { delete: () => {} });
+      });
+    });
+
+    describe("preMock", () => {
+      const realHelper = () => "real";
+      const fakeHelper = () => "fake";
+
+      // Simulate the code generated by the plugin for a module which imports
+      // `helper` from "./helper".
+      function loadModule(filename) {
+        const imports = new ImportMap();
+        registerImports(filename, imports);
+        imports.$add("helper", "./helper", "default", realHelper);
+        return { imports, initialValue: imports.helper() };
+      }
+
+      it("mocks imports of a module when it is loaded", () => {
+        preMock("src/config.js", { "./helper": fakeHelper });
+
+        const { imports, initialValue } = loadModule("/project/src/config.js");
+
+        assert.equal(initialValue, "fake");
+        assert.equal(imports.helper, fakeHelper);
+
+        imports.$restore();
+        assert.equal(imports.helper, realHelper);
+      });
+
+      it("does not mock imports of other modules", () => {
+        preMock("src/config.js", { "./helper": fakeHelper });
+
+        const { initialValue } = loadModule("/project/src/other.js");
+
+        assert.equal(initialValue, "real");
+      });
+
+      it("mocks imports of a module that has already been loaded", () => {
+        const { imports } = loadModule("/project/src/config.js");
+
+        preMock("/project/src/config.js", { "./helper": fakeHelper });
+
+        assert.equal(imports.helper, fakeHelper);
+      });
+
+      it("returns a handle that removes the mocks", () => {
+        const restore = preMock("src/config.js", { "./helper": fakeHelper });
+        const { imports } = loadModule("/project/src/config.js");
+
+        restore();
+
+        assert.equal(imports.helper, realHelper);
+        assert.equal(loadModule("/project/src/config.js").initialValue, "real");
+      });
+
+      it("is removed by `restoreAllMocks`", () => {
+        preMock("src/config.js", { "./helper": fakeHelper });
+
+        restoreAllMocks();
+
+        assert.equal(loadModule("/project/src/config.js").initialValue, "real");
+      });
+    });
+
+    describe("getActiveMocks", () => {
+      it("returns empty array if no mocks are active", () => {
+        assert.deepEqual(getActiveMocks(), []);
+      });
+
+      it("returns active mocks in every module", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        utilImports.$mock({ "./format": () => {} });
+        unregisteredImports.$mock({ "./format": () => {} });
+
+        assert.deepEqual(getActiveMocks(), [
+          {
+            module: "/project/src/app.js",
+            alias: "log",
+            source: "./logger",
+            symbol: "log",
+          },
+          {
+            module: "/project/src/util.js",
+            alias: "format",
+            source: "./format",
+            symbol: "default",
+          },
+          {
+            module: null,
+            alias: "format",
+            source: "./format",
+            symbol: "default",
+          },
+        ]);
+      });
+    });
+
+    describe("assertNoActiveMocks", () => {
+      it("does not throw if no mocks are active", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        appImports.$restore();
+
+        assertNoActiveMocks();
+      });
+
+      it("throws and restores mocks if mocks are active", () => {
+        appImports.$mock({
+          "./logger": { log: () => {} },
+          "./api": { fetch: () => {} },
+        });
+        unregisteredImports.$mock({ "./format": () => {} });
+
+        assert.throws(() => {
+          assertNoActiveMocks();
+        }, ["Mocks were not restored:", '  /project/src/app.js: "log" from "./logger", "fetch" from "./api"', '  <unknown module>: "default" from "./format"'].join("\n"));
+        assert.deepEqual(getActiveMocks(), []);
+      });
+    });
+
+    describe("verifyAllMocksUsed", () => {
+      it("does not throw if all mocks were used", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        appImports.log;
+
+        verifyAllMocksUsed();
+      });
+
+      it("throws if mocks in any module were not used", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        utilImports.$mock({ "./format": () => {} });
+        appImports.log;
+
+        assert.throws(
+          () => {
+            verifyAllMocksUsed();
+          },
+          MockingError,
+          'The following mocks were installed but not used: "default" from "./format"\nModule under test: /project/src/util.js',
+        );
+      });
+    });
+
+    describe("cleanUpMocks", () => {
+      it("restores all mocks", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        cleanUpMocks();
+        assert.deepEqual(getActiveMocks(), []);
+      });
+
+      it("throws if `checkActiveMocks` is set and mocks are active", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        assert.throws(() => {
+          cleanUpMocks({ checkActiveMocks: true });
+        }, "Mocks were not restored");
+        assert.deepEqual(getActiveMocks(), []);
+      });
+
+      it("throws if `checkUnusedMocks` is set and mocks are unused", () => {
+        appImports.$mock({ "./logger": { log: () => {} } });
+        assert.throws(() => {
+          cleanUpMocks({ checkUnusedMocks: true });
+        }, "The following mocks were installed but not used");
+        assert.deepEqual(getActiveMocks(), []);
       });
     });
   });
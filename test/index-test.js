@@ -1,17 +1,38 @@
-import { fileURLToPath } from "url";
+import { execFile } from "child_process";
+import * as fs from "fs";
+import { createRequire } from "module";
+import * as os from "os";
 import * as path from "path";
+import process from "process";
+import { fileURLToPath, pathToFileURL } from "url";
 
 import { transform } from "@babel/core";
 import { assert } from "chai";
 
-function importHelper() {
-  return `
-import { ImportMap } from "babel-plugin-mockable-imports/lib/helpers";
-const $imports = new ImportMap();
-`.trim();
+import { readManifest } from "../index.js";
+
+function importHelper(names = ["ImportMap"]) {
+  return `import { ${names.join(", ")} } from "babel-plugin-mockable-imports/lib/helpers";`;
+}
+
+function importsDecl(...initStatements) {
+  return [
+    "var $imports = $getImports();",
+    "function $getImports() {",
+    "  if (!$imports) {",
+    "    $imports = new ImportMap();",
+    ...initStatements.map((stmt) => `    ${stmt}`),
+    "  }",
+    "  return $imports;",
+    "}",
+  ].join("\n");
 }
 
 function importAdd(alias, source, symbol = alias, value = alias) {
+  return `$imports.$addLive("${alias}", "${source}", "${symbol}", () => ${value});`;
+}
+
+function cjsImportAdd(alias, source, symbol = alias, value = alias) {
   return `$imports.$add("${alias}", "${source}", "${symbol}", ${value});`;
 }
 
@@ -27,9 +48,9 @@ import { ident } from 'a-module';
 ident();
 `,
     output: `
-import { ident } from 'a-module';
 ${importHelper()}
-${importAdd("ident", "a-module")}
+import { ident } from 'a-module';
+${importsDecl(importAdd("ident", "a-module"))}
 $imports.ident();
 ${trailer()}
 `,
@@ -41,9 +62,9 @@ import ident from 'a-module';
 ident();
 `,
     output: `
-import ident from 'a-module';
 ${importHelper()}
-${importAdd("ident", "a-module", "default")}
+import ident from 'a-module';
+${importsDecl(importAdd("ident", "a-module", "default"))}
 $imports.ident();
 ${trailer()}
 `,
@@ -55,9 +76,9 @@ import * as aModule from 'a-module';
 aModule.ident();
 `,
     output: `
-import * as aModule from 'a-module';
 ${importHelper()}
-${importAdd("aModule", "a-module", "*")}
+import * as aModule from 'a-module';
+${importsDecl(importAdd("aModule", "a-module", "*"))}
 $imports.aModule.ident();
 ${trailer()}
 `,
@@ -84,9 +105,9 @@ function MyComponent() {
   return <Widget arg="value"/>;
 }`,
     output: `
-import Widget from './Widget';
 ${importHelper()}
-${importAdd("Widget", "./Widget", "default")}
+import Widget from './Widget';
+${importsDecl(importAdd("Widget", "./Widget", "default"))}
 function MyComponent() {
   return <$imports.Widget arg="value" />;
 }
@@ -100,6 +121,47 @@ import { $imports } from 'a-module';
 `,
     output: `
 import { $imports } from 'a-module';
+`,
+  },
+  {
+    description: "files that declare variables with the names of helpers",
+    code: `
+import { ident } from 'a-module';
+function registerImports() {}
+class ImportMap {}
+`,
+    filename: "/Users/john/project/src/index.js",
+    cwd: "/Users/john/project",
+    output: `
+${importHelper(["ImportMap as _ImportMap", "registerImports as _registerImports"])}
+import { ident } from 'a-module';
+var $imports = $getImports();
+function $getImports() {
+  if (!$imports) {
+    $imports = new _ImportMap();
+    _registerImports("src/index.js", $imports);
+    ${importAdd("ident", "a-module")}
+  }
+  return $imports;
+}
+function registerImports() {}
+class ImportMap {}
+${trailer()}
+`,
+  },
+  {
+    description: "files that already declare `$getImports`",
+    code: `
+import { ident } from 'a-module';
+function $getImports() {
+  return ident;
+}
+`,
+    output: `
+import { ident } from 'a-module';
+function $getImports() {
+  return ident;
+}
 `,
   },
   {
@@ -108,11 +170,51 @@ import { $imports } from 'a-module';
 import { foo } from 'a-module';
 export { foo }`,
     output: `
-import { foo } from 'a-module';
 ${importHelper()}
-${importAdd("foo", "a-module")}
+import { foo } from 'a-module';
+${importsDecl(
+  importAdd("foo", "a-module"),
+  '$imports.$addReExport("foo", "foo");',
+)}
 export { foo };
 ${trailer()}
+`,
+  },
+  {
+    description: "re-exports from other modules",
+    code: `
+export { foo, bar as baz, default } from 'a-module';
+export * as ns from 'b-module';
+`,
+    output: `
+${importHelper()}
+import _default, { foo as _foo, bar as _bar } from 'a-module';
+${importsDecl(
+  importAdd("_default", "a-module", "default"),
+  importAdd("_foo", "a-module", "foo"),
+  importAdd("_bar", "a-module", "bar"),
+  importAdd("_ns", "b-module", "*"),
+  '$imports.$addReExport("foo", "_foo");',
+  '$imports.$addReExport("baz", "_bar");',
+  '$imports.$addReExport("default", "_default");',
+  '$imports.$addReExport("ns", "_ns");',
+)}
+export { _foo as foo, _bar as baz, _default as default };
+import * as _ns from 'b-module';
+export { _ns as ns };
+${trailer()}
+`,
+  },
+  {
+    description: "re-exports of all exports from another module",
+    code: `
+export * from 'a-module';
+`,
+    output: `
+${importHelper()}
+${importsDecl('$imports.$add("export*(a-module)", "a-module", "<export *>");')}
+export * from 'a-module';
+${trailer()}
 `,
   },
   {
@@ -124,13 +226,401 @@ function MyComponent() {
   return <widgets.Widget/>
 }`,
     output: `
-import * as widgets from './widgets';
 ${importHelper()}
-${importAdd("widgets", "./widgets", "*")}
+import * as widgets from './widgets';
+${importsDecl(importAdd("widgets", "./widgets", "*"))}
 function MyComponent() {
   return <$imports.widgets.Widget />;
 }
 ${trailer()}
+`,
+  },
+  {
+    description: "dynamic imports",
+    code: `
+import { ident } from 'a-module';
+function loadWidget() {
+  return import('./Widget');
+}
+function loadWidgetAgain() {
+  return import(\`./Widget\`);
+}
+`,
+    output: `
+${importHelper()}
+import { ident } from 'a-module';
+${importsDecl(
+  '$imports.$add("import(./Widget)", "./Widget", "<dynamic>", () => import("./Widget"));',
+  importAdd("ident", "a-module"),
+)}
+function loadWidget() {
+  return $getImports()["import(./Widget)"]();
+}
+function loadWidgetAgain() {
+  return $getImports()["import(./Widget)"]();
+}
+${trailer()}
+`,
+  },
+  {
+    description: "dynamic imports in the first statement of a module",
+    code: `
+const widget = import('./Widget');
+`,
+    output: `
+${importHelper()}
+${importsDecl(
+  '$imports.$add("import(./Widget)", "./Widget", "<dynamic>", () => import("./Widget"));',
+)}
+const widget = $imports["import(./Widget)"]();
+${trailer()}
+`,
+  },
+  {
+    description: "dynamic imports with import attributes",
+    code: `
+const data = import('./data.json', { with: { type: 'json' } });
+`,
+    output: `
+${importHelper()}
+${importsDecl(
+  '$imports.$add("import(./data.json)", "./data.json", "<dynamic>", options => import("./data.json", options));',
+)}
+const data = $imports["import(./data.json)"]({
+  with: {
+    type: 'json'
+  }
+});
+${trailer()}
+`,
+  },
+  {
+    description: "dynamic imports with a non-constant specifier",
+    code: `
+function loadWidget(name) {
+  return import(name);
+}
+`,
+    output: `
+function loadWidget(name) {
+  return import(name);
+}
+`,
+  },
+  {
+    description: "CommonJS imports",
+    code: `
+var ident = require('a-module');
+ident();
+`,
+    output: `
+${importHelper()}
+${importsDecl()}
+var ident = require('a-module');
+${cjsImportAdd("ident", "a-module", "<CJS>")}
+$imports.ident();
+${trailer()}
+`,
+  },
+  {
+    description: "CommonJS imports of a specific export",
+    code: `
+var ident = require('a-module').ident;
+var other = require('a-module')["other"];
+ident();
+other();
+`,
+    output: `
+${importHelper()}
+${importsDecl()}
+var ident = require('a-module').ident;
+${cjsImportAdd("ident", "a-module")}
+var other = require('a-module')["other"];
+${cjsImportAdd("other", "a-module")}
+$imports.ident();
+$imports.other();
+${trailer()}
+`,
+  },
+  {
+    description: "CommonJS imports with destructuring",
+    code: `
+var { ident, other: otherAlias, withDefault = 42 } = require('a-module');
+ident();
+otherAlias();
+`,
+    output: `
+${importHelper()}
+${importsDecl()}
+var {
+  ident,
+  other: otherAlias,
+  withDefault = 42
+} = require('a-module');
+${cjsImportAdd("withDefault", "a-module")}
+${cjsImportAdd("otherAlias", "a-module", "other")}
+${cjsImportAdd("ident", "a-module")}
+$imports.ident();
+$imports.otherAlias();
+${trailer()}
+`,
+  },
+  {
+    description:
+      "CommonJS imports with destructuring converted by the destructuring plugin",
+    code: `
+var { ident } = require('a-module');
+ident();
+`,
+    plugins: ["@babel/plugin-transform-destructuring"],
+    output: `
+${importHelper()}
+${importsDecl()}
+var _require = require('a-module'),
+  ident = _require.ident;
+${cjsImportAdd("ident", "a-module")}
+$imports.ident();
+${trailer()}
+`,
+  },
+  {
+    description: "CommonJS imports with a `module.exports` assignment",
+    code: `
+var ident = require('a-module');
+module.exports = function () {
+  ident();
+};
+`,
+    output: `
+${importHelper()}
+${importsDecl()}
+var ident = require('a-module');
+${cjsImportAdd("ident", "a-module", "<CJS>")}
+module.exports = function () {
+  $imports.ident();
+};
+module.exports.$imports = $imports;
+`,
+  },
+  {
+    description: "non-top-level CommonJS imports",
+    code: `
+function foo() {
+  var ident = require('a-module');
+}
+`,
+    output: `
+function foo() {
+  var ident = require('a-module');
+}
+`,
+  },
+  {
+    description: "Babel-generated CommonJS imports",
+    code: `
+import { ident } from 'a-module';
+ident();
+`,
+    plugins: ["@babel/plugin-transform-modules-commonjs"],
+    output: `
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports.$imports = void 0;
+var _helpers = require("babel-plugin-mockable-imports/lib/helpers");
+var _aModule = require("a-module");
+var $imports = exports.$imports = $getImports();
+function $getImports() {
+  if (!$imports) {
+    exports.$imports = $imports = new _helpers.ImportMap();
+    ${importAdd("ident", "a-module", "ident", "_aModule.ident")}
+  }
+  return $imports;
+}
+$imports.ident();
+`,
+  },
+  {
+    description: "CommonJS imports whose names start with an underscore",
+    code: `
+const _helpers = require('./helpers');
+_helpers.format();
+`,
+    output: `
+${importHelper()}
+${importsDecl()}
+const _helpers = require('./helpers');
+${cjsImportAdd("_helpers", "./helpers", "<CJS>")}
+$imports._helpers.format();
+${trailer()}
+`,
+  },
+  {
+    description: "imports marked with an ignore comment",
+    code: `
+// mockable-imports-ignore
+import { a } from 'a-module';
+import { b, /* mockable-imports-ignore */ c } from 'b-module';
+a();
+b();
+c();
+`,
+    output: `
+${importHelper()}
+// mockable-imports-ignore
+import { a } from 'a-module';
+import { b, /* mockable-imports-ignore */c } from 'b-module';
+${importsDecl(importAdd("b", "b-module"))}
+a();
+$imports.b();
+c();
+${trailer()}
+`,
+  },
+  {
+    description: "CommonJS imports marked with an ignore comment",
+    code: `
+const { a, /* mockable-imports-ignore */ b } = require('a-module');
+// mockable-imports-ignore
+const c = require('c-module');
+a();
+b();
+c();
+`,
+    output: `
+${importHelper()}
+${importsDecl()}
+const {
+  a,
+  /* mockable-imports-ignore */b
+} = require('a-module');
+// mockable-imports-ignore
+${cjsImportAdd("a", "a-module")}
+const c = require('c-module');
+$imports.a();
+b();
+c();
+${trailer()}
+`,
+  },
+  {
+    description: "re-exports and dynamic imports marked with an ignore comment",
+    code: `
+export { a, /* mockable-imports-ignore */ b } from 'a-module';
+// mockable-imports-ignore
+export * from 'c-module';
+import(/* mockable-imports-ignore */ 'd-module');
+`,
+    output: `
+${importHelper()}
+import { a as _a } from 'a-module';
+${importsDecl(
+  importAdd("_a", "a-module", "a"),
+  '$imports.$addReExport("a", "_a");',
+)}
+export { _a as a };
+export { /* mockable-imports-ignore */b } from 'a-module'; // mockable-imports-ignore
+export * from 'c-module';
+import(/* mockable-imports-ignore */'d-module');
+${trailer()}
+`,
+  },
+  {
+    description: "modules with a disable comment",
+    code: `
+/* mockable-imports-disable */
+import { a } from 'a-module';
+a();
+`,
+    output: `
+/* mockable-imports-disable */
+import { a } from 'a-module';
+a();
+`,
+  },
+  {
+    description: "modules with a known filename",
+    code: `
+import { ident } from 'a-module';
+ident();
+`,
+    filename: "/Users/john/project/src/index.js",
+    cwd: "/Users/john/project",
+    output: `
+${importHelper(["ImportMap", "registerImports"])}
+import { ident } from 'a-module';
+${importsDecl(
+  'registerImports("src/index.js", $imports);',
+  importAdd("ident", "a-module"),
+)}
+$imports.ident();
+${trailer()}
+`,
+  },
+  {
+    description: "relative imports in a module with a known filename",
+    code: `
+import { ident } from './a-module';
+const other = require('../other');
+export * from './utils';
+import('./lazy');
+ident();
+`,
+    filename: "/Users/john/project/src/index.js",
+    cwd: "/Users/john/project",
+    output: `
+${importHelper(["ImportMap", "registerImports"])}
+import { ident } from './a-module';
+${importsDecl(
+  'registerImports("src/index.js", $imports);',
+  '$imports.$add("import(./lazy)", "./lazy", "<dynamic>", () => import("./lazy"), "/Users/john/project/src/lazy");',
+  '$imports.$add("export*(./utils)", "./utils", "<export *>", undefined, "/Users/john/project/src/utils");',
+  '$imports.$addLive("ident", "./a-module", "ident", () => ident, "/Users/john/project/src/a-module");',
+)}
+const other = require('../other');
+$imports.$add("other", "../other", "<CJS>", other, "/Users/john/project/other");
+export * from './utils';
+$imports["import(./lazy)"]();
+$imports.ident();
+${trailer()}
+`,
+  },
+  {
+    description: "`exposeVia: registry` option",
+    code: `
+import { ident } from 'a-module';
+ident();
+`,
+    pluginOptions: { exposeVia: "registry" },
+    filename: "/Users/john/project/src/index.js",
+    cwd: "/Users/john/project",
+    output: `
+${importHelper(["ImportMap", "registerImports"])}
+import { ident } from 'a-module';
+${importsDecl(
+  'registerImports("src/index.js", $imports);',
+  importAdd("ident", "a-module"),
+)}
+$imports.ident();
+`,
+  },
+  {
+    description: "`exposeVia: registry` option without a filename",
+    code: `
+import { ident } from 'a-module';
+ident();
+`,
+    pluginOptions: { exposeVia: "registry" },
+    output: `
+${importHelper(["ImportMap", "registerImports"])}
+import { ident } from 'a-module';
+${importsDecl(
+  "registerImports(import.meta.url, $imports);",
+  importAdd("ident", "a-module"),
+)}
+$imports.ident();
 `,
   },
   {
@@ -160,27 +650,108 @@ var x = {
     plugins: ["@babel/plugin-transform-function-name"],
 
     // Note that the imported `render` function is renamed to `_render` by the
-    // @babel/plugin-transform-function-name plugin _after_ the `$imports.$add`
+    // @babel/plugin-transform-function-name plugin _after_ the `$imports.$addLive`
     // call is generated. The generated `$imports.<symbol>` reference needs to
     // refer to the original alias name (`render`) not the current name (`_render`)
     // at the point where the function is called.
     output: `
-import { render as _render } from "preact";
 ${importHelper()}
-$imports.$add("render", "preact", "render", _render);
+import { render as _render } from "preact";
+${importsDecl('$imports.$addLive("render", "preact", "render", () => _render);')}
 var x = {
   render: function render() {
     $imports.render();
   }
 };
 ${trailer()}
+`,
+  },
+  {
+    description: "TypeScript type-only imports and exports",
+    code: `
+import type { Props } from './types';
+import { type Options, render } from './render';
+export type { Theme } from './theme';
+export { type Size, scale } from './size';
+export type * from './more-types';
+function draw(props: Props, options: Options): ReturnType<typeof render> {
+  return render(props, options);
+}
+`,
+    plugins: ["@babel/plugin-syntax-typescript"],
+    output: `
+${importHelper()}
+import type { Props } from './types';
+import { type Options, render } from './render';
+${importsDecl(
+  importAdd("render", "./render"),
+  importAdd("_scale", "./size", "scale"),
+  '$imports.$addReExport("scale", "_scale");',
+)}
+export type { Theme } from './theme';
+import { scale as _scale } from './size';
+export { _scale as scale };
+export { type Size } from './size';
+export type * from './more-types';
+function draw(props: Props, options: Options): ReturnType<typeof render> {
+  return $getImports().render(props, options);
+}
+${trailer()}
+`,
+  },
+  {
+    description: "Flow type-only imports",
+    code: `
+import type { Props } from './types';
+import typeof RenderFn from './render';
+import { type Options, typeof render as renderType, render } from './render';
+function draw(props: Props, options: Options): renderType {
+  return (render(props, options): any);
+}
+`,
+    plugins: ["@babel/plugin-syntax-flow"],
+    output: `
+${importHelper()}
+import type { Props } from './types';
+import typeof RenderFn from './render';
+import { type Options, typeof render as renderType, render } from './render';
+${importsDecl(importAdd("render", "./render"))}
+function draw(props: Props, options: Options): renderType {
+  return ($getImports().render(props, options): any);
+}
+${trailer()}
+`,
+  },
+  {
+    description: "TypeScript `import = require()` and `export =`",
+    code: `
+import render = require('./render');
+function draw(config: Config) {
+  return render(config);
+}
+export = draw;
+`,
+    plugins: ["@babel/plugin-syntax-typescript"],
+    output: `
+${importHelper()}
+${importsDecl()}
+import render = require('./render');
+${cjsImportAdd("render", "./render", "<CJS>")}
+function draw(config: Config) {
+  return $getImports().render(config);
+}
+export = draw;
+module.exports.$imports = $imports;
 `,
   },
 ];
 
 const pluginPath =
   path.dirname(fileURLToPath(import.meta.url)) + "/../index.js";
-const syntaxPlugins = ["@babel/plugin-syntax-jsx"];
+// Plugins are resolved from this module rather than Babel's `cwd`, which some
+// tests set to a directory that does not exist.
+const require = createRequire(import.meta.url);
+const syntaxPlugins = [require.resolve("@babel/plugin-syntax-jsx")];
 
 const options = {
   plugins: [...syntaxPlugins, pluginPath],
@@ -199,14 +770,27 @@ function transformAsync(code, options) {
 }
 
 describe("plugin", () => {
-  fixtures.forEach(({ description, code, output, plugins = [] }) => {
-    it(`generates expected code for ${description}`, async () => {
-      const options_ = { ...options };
-      options_.plugins = [...options_.plugins, ...plugins];
-      const { code: actualOutput } = await transformAsync(code, options_);
-      assert.equal(actualOutput.trim(), output.trim());
-    });
-  });
+  fixtures.forEach(
+    ({
+      description,
+      code,
+      output,
+      plugins = [],
+      pluginOptions = {},
+      filename,
+      cwd,
+    }) => {
+      it(`generates expected code for ${description}`, async () => {
+        const options_ = {
+          plugins: [...syntaxPlugins, [pluginPath, pluginOptions], ...plugins],
+          filename,
+          cwd,
+        };
+        const { code: actualOutput } = await transformAsync(code, options_);
+        assert.equal(actualOutput.trim(), output.trim());
+      });
+    },
+  );
 
   it("ignores imports from modules in default exclude list", async () => {
     const code = `
@@ -217,6 +801,7 @@ proxyquire2(require);
 
 var someHelper = require('\0rollupPluginBabelHelpers.js');
 someHelper();
+import('proxyquire');
 `;
     const { code: output } = await transformAsync(code, options);
     assert.equal(normalize(code), normalize(output));
@@ -233,6 +818,10 @@ import excludeMe from 'exclude-me';
 const excludeMe2 = require('exclude-me');
 excludeMe();
 excludeMe2();
+
+import('exclude-me-too');
+export { excludeMe3 } from 'exclude-me';
+export * from 'exclude-me';
 `;
     const { code: output } = await transformAsync(code, {
       plugins: [
@@ -249,6 +838,127 @@ excludeMe2();
     assert.equal(normalize(code), normalize(output));
   });
 
+  it("throws if `exposeVia` option is invalid", async () => {
+    let err;
+    try {
+      await transformAsync(`import { ident } from 'a-module';`, {
+        plugins: [[pluginPath, { exposeVia: "window" }]],
+      });
+    } catch (e) {
+      err = e;
+    }
+    assert.instanceOf(err, Error);
+    assert.include(err.message, 'Invalid "exposeVia" option "window"');
+  });
+
+  it("handles TypeScript modules regardless of plugin order", async () => {
+    const code = `
+import type { Props } from './types';
+import { type Options, render } from './render';
+import log = require('./log');
+function draw(props: Props, options: Options) {
+  log('drawing');
+  return render(props, options);
+}
+export = draw;
+`;
+    const typescript = "@babel/plugin-transform-typescript";
+    const commonjs = "@babel/plugin-transform-modules-commonjs";
+    const outputs = [];
+    for (const plugins of [
+      [pluginPath, typescript, commonjs],
+      [typescript, pluginPath, commonjs],
+    ]) {
+      const { code: output } = await transformAsync(code, {
+        filename: "/Users/john/project/src/draw.ts",
+        plugins,
+      });
+      outputs.push(output);
+    }
+
+    assert.equal(outputs[0], outputs[1]);
+    assert.notInclude(outputs[0], "./types");
+    assert.notInclude(outputs[0], '"Options"');
+    assert.equal(outputs[0].match(/\$imports\.\$add\("log"/g).length, 1);
+    assert.include(outputs[0], "module.exports.$imports = $imports");
+  });
+
+  describe("production builds", () => {
+    const code = `
+import { foo } from './foo';
+foo();`;
+    let savedNodeEnv;
+
+    beforeEach(() => {
+      savedNodeEnv = process.env.NODE_ENV;
+    });
+
+    afterEach(() => {
+      if (savedNodeEnv === undefined) {
+        delete process.env.NODE_ENV;
+      } else {
+        process.env.NODE_ENV = savedNodeEnv;
+      }
+    });
+
+    function transformForEnv(envName, pluginOpts = {}) {
+      return transformAsync(code, {
+        envName,
+        plugins: [[pluginPath, pluginOpts]],
+      });
+    }
+
+    async function getError(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      return null;
+    }
+
+    it("throws if Babel's envName is production", async () => {
+      const err = await getError(transformForEnv("production"));
+      assert.instanceOf(err, Error);
+      assert.include(err.message, `Babel's envName is "production"`);
+    });
+
+    it("throws if NODE_ENV is production", async () => {
+      process.env.NODE_ENV = "production";
+      const err = await getError(transformForEnv("test"));
+      assert.instanceOf(err, Error);
+      assert.include(err.message, `NODE_ENV is "production"`);
+    });
+
+    it("does not transform modules if `onProduction` is `skip`", async () => {
+      const { code: output } = await transformForEnv("production", {
+        onProduction: "skip",
+      });
+      assert.equal(normalize(output), normalize(code));
+    });
+
+    it("transforms modules if `onProduction` is `allow`", async () => {
+      const { code: output } = await transformForEnv("production", {
+        onProduction: "allow",
+      });
+      assert.include(output, "$imports.foo()");
+    });
+
+    it("transforms modules in other environments", async () => {
+      delete process.env.NODE_ENV;
+      const { code: output } = await transformForEnv("test");
+      assert.include(output, "$imports.foo()");
+    });
+
+    it("throws if `onProduction` option is invalid", async () => {
+      const err = await getError(
+        transformForEnv("test", { onProduction: "warn" }),
+      );
+      assert.instanceOf(err, Error);
+      assert.include(err.message, 'Invalid "onProduction" option "warn"');
+    });
+  });
+
   describe("dir-based exclusion", () => {
     async function doesTransformFile(filename, pluginOpts = {}) {
       const code = `
@@ -273,6 +983,20 @@ foo2();`;
       );
     });
 
+    it("transforms modules in test dirs with an enable comment", async () => {
+      const { code: output } = await transformAsync(
+        `
+// mockable-imports-enable
+import { foo } from './foo';
+foo();`,
+        {
+          plugins: [pluginPath],
+          filename: "/Users/john/project/test/helpers.js",
+        },
+      );
+      assert.include(output, "$imports.foo()");
+    });
+
     it("does not transform modules that match user-provided exclude list", async () => {
       assert.isFalse(
         await doesTransformFile("/Users/john/project/prueba/index.js", {
@@ -281,4 +1005,600 @@ foo2();`;
       );
     });
   });
+
+  describe("include and exclude options", () => {
+    async function doesTransformFile(filename, pluginOpts) {
+      const code = `
+import { foo } from './foo';
+foo();`;
+      const { code: output } = await transformAsync(code, {
+        cwd: "/Users/john/project",
+        filename: `/Users/john/project/${filename}`,
+        plugins: [[pluginPath, pluginOpts]],
+      });
+      return normalize(code) !== normalize(output);
+    }
+
+    it("only transforms files matching `include` globs", async () => {
+      const opts = { include: ["src/**", "lib/*.js"] };
+      assert.isTrue(await doesTransformFile("src/index.js", opts));
+      assert.isTrue(await doesTransformFile("src/a/b/index.js", opts));
+      assert.isTrue(await doesTransformFile("lib/index.js", opts));
+      assert.isFalse(await doesTransformFile("lib/a/index.js", opts));
+      assert.isFalse(await doesTransformFile("stories/index.js", opts));
+    });
+
+    it("does not transform files matching `exclude` globs", async () => {
+      const opts = {
+        exclude: ["**/*.{test,spec}.js", "src/generated/**", "stories/**"],
+      };
+      assert.isTrue(await doesTransformFile("index.js", opts));
+      assert.isTrue(await doesTransformFile("src/widget.js", opts));
+      assert.isFalse(await doesTransformFile("widget.test.js", opts));
+      assert.isFalse(await doesTransformFile("src/widget.spec.js", opts));
+      assert.isFalse(await doesTransformFile("src/generated/api.js", opts));
+      assert.isFalse(await doesTransformFile("stories/widget.js", opts));
+    });
+
+    it("expands globs inside `{a,b}` alternatives", async () => {
+      const opts = { exclude: "**/{*.test,*.spec}.js" };
+      assert.isTrue(await doesTransformFile("src/x.js", opts));
+      assert.isFalse(await doesTransformFile("src/x.test.js", opts));
+      assert.isFalse(await doesTransformFile("src/x.spec.js", opts));
+    });
+
+    it("supports regular expressions and functions as patterns", async () => {
+      const opts = {
+        include: /^src\//,
+        exclude: (relativePath, filename) => {
+          assert.equal(filename, `/Users/john/project/${relativePath}`);
+          return relativePath.includes("legacy");
+        },
+      };
+      assert.isTrue(await doesTransformFile("src/index.js", opts));
+      assert.isFalse(await doesTransformFile("lib/index.js", opts));
+      assert.isFalse(await doesTransformFile("src/legacy/index.js", opts));
+    });
+
+    it("applies `excludeDirs` as well as `include`", async () => {
+      const opts = { include: "src/**" };
+      assert.isFalse(await doesTransformFile("src/__tests__/index.js", opts));
+    });
+  });
+
+  describe("live bindings and circular imports", () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "mockable-imports-"));
+      fs.writeFileSync(
+        path.join(tempDir, "package.json"),
+        JSON.stringify({ type: "module" }),
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    // Transform modules and write them to the temp dir, so that they can be
+    // evaluated by Node.
+    async function writeModules(modules) {
+      const helpersUrl = pathToFileURL(
+        path.join(path.dirname(pluginPath), "helpers.js"),
+      ).href;
+      for (const [name, code] of Object.entries(modules)) {
+        const filename = path.join(tempDir, name);
+        const { code: output } = await transformAsync(code, {
+          filename,
+          plugins: [pluginPath],
+        });
+        fs.writeFileSync(
+          filename,
+          output.replace(
+            "babel-plugin-mockable-imports/lib/helpers",
+            helpersUrl,
+          ),
+        );
+      }
+    }
+
+    it("reads the current value of exported variables", async () => {
+      await writeModules({
+        "counter.js": `
+export let count = 0;
+export function increment() {
+  count += 1;
+}
+`,
+        "app.js": `
+import { count, increment } from './counter.js';
+export function incrementAndGet() {
+  increment();
+  return count;
+}
+`,
+      });
+
+      const app = await import(pathToFileURL(path.join(tempDir, "app.js")));
+      assert.equal(app.incrementAndGet(), 1);
+      assert.equal(app.incrementAndGet(), 2);
+
+      app.$imports.$mock({ "./counter.js": { count: 42 } });
+      assert.equal(app.incrementAndGet(), 42);
+      app.$imports.$restore();
+      assert.equal(app.incrementAndGet(), 4);
+    });
+
+    it("evaluates modules with circular imports", async () => {
+      await writeModules({
+        "a.js": `
+import { B } from './b.js';
+export class A {
+  createB() {
+    return new B();
+  }
+}
+`,
+        "b.js": `
+import { A } from './a.js';
+export class B {
+  createA() {
+    return new A();
+  }
+}
+`,
+      });
+
+      const a = await import(pathToFileURL(path.join(tempDir, "a.js")));
+      const b = new a.A().createB();
+      assert.instanceOf(b.createA(), a.A);
+    });
+
+    it("supports calls to functions in modules which have not finished evaluating", async () => {
+      await writeModules({
+        "a.js": `
+import { helper } from './c.js';
+import './b.js';
+export function f() {
+  return helper();
+}
+`,
+        "b.js": `
+import { f } from './a.js';
+export const result = f();
+`,
+        "c.js": `
+export function helper() {
+  return 'helper';
+}
+`,
+        // The same as "a.js", but the import which calls back into the module
+        // comes first.
+        "d.js": `
+import './e.js';
+import { helper } from './c.js';
+export function f() {
+  return helper();
+}
+`,
+        "e.js": `
+import { f } from './d.js';
+export const result = f();
+`,
+      });
+
+      const a = await import(pathToFileURL(path.join(tempDir, "a.js")));
+      const b = await import(pathToFileURL(path.join(tempDir, "b.js")));
+      assert.equal(b.result, "helper");
+      assert.equal(a.f(), "helper");
+
+      a.$imports.$mock({ "./c.js": { helper: () => "mocked" } });
+      assert.equal(a.f(), "mocked");
+      a.$imports.$restore();
+
+      const e = await import(pathToFileURL(path.join(tempDir, "e.js")));
+      assert.equal(e.result, "helper");
+    });
+
+    it("evaluates barrel modules with circular imports", async () => {
+      await writeModules({
+        "index.js": `
+export { A } from './a.js';
+export { B } from './b.js';
+`,
+        "a.js": `
+export class A {}
+`,
+        "b.js": `
+import { A } from './index.js';
+export class B extends A {}
+`,
+      });
+
+      const b = await import(pathToFileURL(path.join(tempDir, "b.js")));
+      const index = await import(pathToFileURL(path.join(tempDir, "index.js")));
+      assert.instanceOf(new b.B(), index.A);
+      assert.equal(index.B, b.B);
+    });
+
+    it("preserves live bindings of re-exports", async () => {
+      await writeModules({
+        "counter.js": `
+export let count = 0;
+export function inc() {
+  count += 1;
+}
+`,
+        "barrel.js": `
+export { count, inc } from './counter.js';
+`,
+      });
+
+      const barrel = await import(
+        pathToFileURL(path.join(tempDir, "barrel.js"))
+      );
+      barrel.inc();
+      assert.equal(barrel.count, 1);
+      barrel.inc();
+      assert.equal(barrel.count, 2);
+    });
+
+    it("applies mocks for re-exports to modules that import them", async () => {
+      await writeModules({
+        "logger.js": `
+export function log() {
+  return 'real';
+}
+`,
+        "barrel.js": `
+export { log } from './logger.js';
+`,
+        "app.js": `
+import { log } from './barrel.js';
+import * as barrel from './barrel.js';
+export function callLog() {
+  return log();
+}
+export function callNamespaceLog() {
+  return barrel.log();
+}
+`,
+      });
+
+      const barrel = await import(
+        pathToFileURL(path.join(tempDir, "barrel.js"))
+      );
+      const app = await import(pathToFileURL(path.join(tempDir, "app.js")));
+      const restore = barrel.$imports.$mock({
+        "./logger.js": { log: () => "mocked" },
+      });
+      try {
+        assert.equal(app.callLog(), "mocked");
+        assert.equal(app.callNamespaceLog(), "mocked");
+        assert.equal(barrel.log(), "real");
+      } finally {
+        restore();
+      }
+      assert.equal(app.callLog(), "real");
+      assert.equal(app.callNamespaceLog(), "real");
+    });
+
+    it("only counts mocks for re-exports as used when they are read", async () => {
+      await writeModules({
+        "logger.js": `
+export function log() {}
+`,
+        "barrel.js": `
+export { log } from './logger.js';
+`,
+        "app.js": `
+import { log } from './barrel.js';
+export function callLog() {
+  log();
+}
+`,
+      });
+
+      const barrel = await import(
+        pathToFileURL(path.join(tempDir, "barrel.js"))
+      );
+      const app = await import(pathToFileURL(path.join(tempDir, "app.js")));
+      const restore = barrel.$imports.$mock({ "./logger.js": { log() {} } });
+      try {
+        assert.throws(() => {
+          barrel.$imports.$verifyMocksUsed();
+        }, 'The following mocks were installed but not used: "log" from "./logger.js"');
+
+        app.callLog();
+        barrel.$imports.$verifyMocksUsed();
+      } finally {
+        restore();
+      }
+    });
+
+    it("records reads of re-exports in the importing module's trace", async () => {
+      await writeModules({
+        "logger.js": `
+export function log() {}
+`,
+        "barrel.js": `
+export { log } from './logger.js';
+`,
+        "app.js": `
+import { log } from './barrel.js';
+export function callLog() {
+  log();
+}
+`,
+      });
+
+      const barrel = await import(
+        pathToFileURL(path.join(tempDir, "barrel.js"))
+      );
+      const app = await import(pathToFileURL(path.join(tempDir, "app.js")));
+      barrel.$imports.$trace();
+      app.$imports.$trace();
+      const restore = barrel.$imports.$mock({ "./logger.js": { log() {} } });
+      try {
+        assert.deepEqual(barrel.$imports.$takeTrace(), []);
+
+        app.callLog();
+
+        assert.deepEqual(barrel.$imports.$takeTrace(), []);
+        assert.deepEqual(app.$imports.$takeTrace(), [
+          {
+            alias: "log",
+            source: "./barrel.js",
+            symbol: "log",
+            mocked: true,
+            count: 1,
+          },
+        ]);
+      } finally {
+        restore();
+        barrel.$imports.$trace(false);
+        app.$imports.$trace(false);
+      }
+    });
+  });
+
+  describe("manifest", () => {
+    let tempDir;
+    let manifestPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "mockable-imports-"));
+      manifestPath = path.join(tempDir, "out/manifest.json");
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write `code` to `filename` in the temporary directory and transform it.
+     *
+     * The file is written so that its entry is not treated as belonging to a
+     * deleted module.
+     */
+    function transformFile(code, filename, pluginOpts = {}) {
+      const absPath = path.join(tempDir, filename);
+      fs.mkdirSync(path.dirname(absPath), { recursive: true });
+      fs.writeFileSync(absPath, code);
+      return transformAsync(code, {
+        cwd: tempDir,
+        filename: absPath,
+        plugins: [
+          [pluginPath, { manifest: "out/manifest.json", ...pluginOpts }],
+        ],
+      });
+    }
+
+    /**
+     * Transform `count` modules in a separate Babel process, which writes the
+     * manifest when it exits.
+     */
+    function transformInProcess(worker, count) {
+      const script = `
+import { transformSync } from "@babel/core";
+import * as fs from "fs";
+const [pluginPath, cwd, worker, count] = process.argv.slice(1);
+const code = "import { foo } from './foo';";
+fs.mkdirSync(cwd + "/src", { recursive: true });
+for (let i = 0; i < Number(count); i++) {
+  const filename = cwd + "/src/module-" + worker + "-" + i + ".js";
+  fs.writeFileSync(filename, code);
+  transformSync(code, {
+    cwd,
+    filename,
+    plugins: [[pluginPath, { manifest: "out/manifest.json" }]],
+  });
+}
+`;
+      return new Promise((resolve, reject) => {
+        execFile(
+          process.execPath,
+          [
+            "--input-type=module",
+            "-e",
+            script,
+            pluginPath,
+            tempDir,
+            worker,
+            String(count),
+          ],
+          (err) => (err ? reject(err) : resolve()),
+        );
+      });
+    }
+
+    function readManifestFile() {
+      return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    }
+
+    it("records imports of transformed modules", async () => {
+      await transformFile(
+        `
+import log, { warn } from './logger';
+import * as api from './api';
+import ignored from 'ignore-me';
+const format = require('./format');
+export * from './utils';
+import('./lazy');
+`,
+        "src/app.js",
+        { excludeImportsFromModules: ["ignore-me"] },
+      );
+
+      assert.deepEqual(readManifest(manifestPath), {
+        version: 1,
+        modules: {
+          "src/app.js": {
+            skipped: null,
+            imports: [
+              {
+                alias: "log",
+                source: "./logger",
+                symbol: "default",
+                excluded: false,
+              },
+              {
+                alias: "warn",
+                source: "./logger",
+                symbol: "warn",
+                excluded: false,
+              },
+              { alias: "api", source: "./api", symbol: "*", excluded: false },
+              {
+                alias: "ignored",
+                source: "ignore-me",
+                symbol: "default",
+                excluded: true,
+              },
+              {
+                alias: "format",
+                source: "./format",
+                symbol: "<CJS>",
+                excluded: false,
+              },
+              {
+                alias: "export*(./utils)",
+                source: "./utils",
+                symbol: "<export *>",
+                excluded: false,
+              },
+              {
+                alias: "import(./lazy)",
+                source: "./lazy",
+                symbol: "<dynamic>",
+                excluded: false,
+              },
+            ],
+          },
+        },
+      });
+    });
+
+    it("records modules that were skipped", async () => {
+      await transformFile(`import { foo } from './foo';`, "test/app-test.js");
+      await transformFile(
+        `import $imports from './imports'; import { foo } from './foo';`,
+        "src/conflict.js",
+      );
+
+      await transformFile(
+        `import { foo } from './foo';`,
+        "src/app.stories.js",
+        { exclude: "**/*.stories.js" },
+      );
+      await transformFile(
+        `/* mockable-imports-disable */ import { foo } from './foo';`,
+        "src/disabled.js",
+      );
+
+      assert.deepEqual(readManifest(manifestPath).modules, {
+        "src/app.stories.js": { skipped: "excludedFile", imports: [] },
+        "src/conflict.js": { skipped: "importsConflict", imports: [] },
+        "src/disabled.js": { skipped: "disabledByComment", imports: [] },
+        "test/app-test.js": { skipped: "excludedDir", imports: [] },
+      });
+    });
+
+    it("replaces the entry for a module that is transformed again", async () => {
+      await transformFile(`import { foo } from './foo';`, "src/a.js");
+      await transformFile(`import { bar } from './bar';`, "src/b.js");
+      await transformFile(`import { baz } from './baz';`, "src/a.js");
+
+      const { modules } = readManifest(manifestPath);
+      assert.deepEqual(Object.keys(modules), ["src/a.js", "src/b.js"]);
+      assert.deepEqual(
+        modules["src/a.js"].imports.map((imp) => imp.alias),
+        ["baz"],
+      );
+    });
+
+    it("omits modules which no longer exist", async () => {
+      await transformFile(`import { foo } from './foo';`, "src/a.js");
+      await transformFile(`import { bar } from './bar';`, "src/b.js");
+      fs.renameSync(
+        path.join(tempDir, "src/b.js"),
+        path.join(tempDir, "src/c.js"),
+      );
+      await transformFile(`import { bar } from './bar';`, "src/c.js");
+
+      assert.deepEqual(Object.keys(readManifest(manifestPath).modules), [
+        "src/a.js",
+        "src/c.js",
+      ]);
+    });
+
+    it("removes entries for modules which no longer exist", async () => {
+      await transformInProcess("a", 2);
+      fs.rmSync(path.join(tempDir, "src/module-a-0.js"));
+
+      await transformInProcess("b", 1);
+
+      assert.deepEqual(Object.keys(readManifestFile().modules), [
+        "src/module-a-1.js",
+        "src/module-b-0.js",
+      ]);
+      assert.equal(fs.readdirSync(`${manifestPath}.entries`).length, 2);
+    });
+
+    it("writes the manifest when the process exits", async () => {
+      await transformInProcess("a", 2);
+
+      assert.deepEqual(readManifestFile(), readManifest(manifestPath));
+      assert.deepEqual(Object.keys(readManifestFile().modules), [
+        "src/module-a-0.js",
+        "src/module-a-1.js",
+      ]);
+    });
+
+    it("merges entries written by parallel processes", async () => {
+      await Promise.all(
+        ["a", "b", "c"].map((worker) => transformInProcess(worker, 5)),
+      );
+
+      const { modules } = readManifestFile();
+      assert.equal(Object.keys(modules).length, 15);
+      assert.isFalse(fs.existsSync(`${manifestPath}.lock`));
+    });
+
+    it("removes stale locks", async () => {
+      fs.mkdirSync(path.dirname(manifestPath));
+      const lockPath = `${manifestPath}.lock`;
+      fs.writeFileSync(lockPath, "");
+      const lockTime = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(lockPath, lockTime, lockTime);
+
+      await transformInProcess("a", 1);
+
+      assert.deepEqual(Object.keys(readManifestFile().modules), [
+        "src/module-a-0.js",
+      ]);
+      assert.isFalse(fs.existsSync(lockPath));
+    });
+  });
 });
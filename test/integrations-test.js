@@ -0,0 +1,122 @@
+import { execFile } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import process from "process";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import { assert } from "chai";
+
+import { ImportMap, getActiveMocks, restoreAllMocks } from "../helpers.js";
+import { installJasmineHooks } from "../jasmine.js";
+import { createMochaHooks, mochaHooks } from "../mocha.js";
+
+const rootDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+describe("test runner integrations", () => {
+  let imports;
+
+  beforeEach(() => {
+    restoreAllMocks();
+    imports = new ImportMap({
+      log: ["./logger", "log", () => {}],
+    });
+  });
+
+  describe("mocha", () => {
+    it("restores mocks after each test", () => {
+      imports.$mock({ "./logger": { log: () => {} } });
+      mochaHooks.afterEach();
+      assert.deepEqual(getActiveMocks(), []);
+    });
+
+    it("supports checking for unused mocks", () => {
+      const hooks = createMochaHooks({ checkUnusedMocks: true });
+      imports.$mock({ "./logger": { log: () => {} } });
+      assert.throws(() => {
+        hooks.afterEach();
+      }, 'The following mocks were installed but not used: "log" from "./logger"');
+    });
+  });
+
+  describe("jasmine", () => {
+    let savedAfterEach;
+
+    beforeEach(() => {
+      savedAfterEach = globalThis.afterEach;
+    });
+
+    afterEach(() => {
+      globalThis.afterEach = savedAfterEach;
+    });
+
+    it("registers a global `afterEach` hook that restores mocks", () => {
+      const hooks = [];
+      globalThis.afterEach = (hook) => hooks.push(hook);
+
+      installJasmineHooks({ checkActiveMocks: true });
+      globalThis.afterEach = savedAfterEach;
+
+      assert.equal(hooks.length, 1);
+      imports.$mock({ "./logger": { log: () => {} } });
+      assert.throws(() => {
+        hooks[0]();
+      }, "Mocks were not restored");
+      assert.deepEqual(getActiveMocks(), []);
+    });
+
+    it("throws if there is no global `afterEach` function", () => {
+      globalThis.afterEach = undefined;
+      assert.throws(() => {
+        installJasmineHooks();
+      }, "must be called in an environment with a global `afterEach` function");
+    });
+  });
+
+  describe("node:test", () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "mockable-imports-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("restores mocks after each test", async () => {
+      const helpersUrl = pathToFileURL(path.join(rootDir, "helpers.js"));
+      const integrationUrl = pathToFileURL(path.join(rootDir, "node-test.js"));
+      const testFile = path.join(tempDir, "example-test.mjs");
+      fs.writeFileSync(
+        testFile,
+        `
+import assert from "node:assert";
+import { test } from "node:test";
+
+import { ImportMap } from "${helpersUrl}";
+import { installNodeTestHooks } from "${integrationUrl}";
+
+installNodeTestHooks();
+
+const imports = new ImportMap({ log: ["./logger", "log", "real-log"] });
+
+test("installs a mock", () => {
+  imports.$mock({ "./logger": { log: "fake-log" } });
+  assert.equal(imports.log, "fake-log");
+});
+
+test("does not see the mock from the previous test", () => {
+  assert.equal(imports.log, "real-log");
+});
+`,
+      );
+
+      await new Promise((resolve, reject) => {
+        execFile(process.execPath, ["--test", testFile], (err, stdout) =>
+          err ? reject(new Error(stdout)) : resolve(),
+        );
+      });
+    });
+  });
+});
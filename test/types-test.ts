@@ -0,0 +1,96 @@
+// Type-checking tests for `helpers.d.ts`. These are checked by `tsc` but not
+// run. Lines marked with `@ts-expect-error` must fail to type-check.
+
+import { ImportMap, MockingError, getImports } from "../helpers.js";
+
+type LoggerModule = {
+  log(message: string): void;
+  level: number;
+};
+
+type FormatModule = {
+  default(value: number): string;
+};
+
+type AppImports = {
+  "./logger": LoggerModule;
+  "./format": FormatModule;
+};
+
+const app = { $imports: new ImportMap() };
+const $imports = getImports<AppImports>(app);
+
+// Mocks for named exports.
+$imports.$mock({ "./logger": { log: (message: string) => {} } });
+$imports.$mock({ "./logger": { level: 2 } });
+
+// Mock for a default export.
+$imports.$mock({ "./format": (value: number) => value.toString() });
+$imports.$mock({ "./format": { default: () => "formatted" } });
+
+// @ts-expect-error - Unknown module path
+$imports.$mock({ "./loger": { log: () => {} } });
+
+// @ts-expect-error - Unknown export
+$imports.$mock({ "./logger": { warn: () => {} } });
+
+// @ts-expect-error - Wrong mock type
+$imports.$mock({ "./logger": { level: "debug" } });
+
+// Callback form.
+const handle = $imports.$mock((source, symbol, value) =>
+  source === "./logger" ? () => {} : null,
+);
+handle();
+
+// Handles can be disposed using `using` declarations.
+{
+  using disposableHandle = $imports.$mock({ "./logger": { level: 3 } });
+}
+
+$imports.$withMocks({ "./logger": { log: () => {} } }, () => {});
+const result: Promise<number> = $imports.$withMocks(
+  { "./logger": { level: 1 } },
+  async () => 42,
+);
+$imports.$mockAll({ include: [/logger/, "./format"] })();
+
+const realLog = (message: string) => {};
+$imports.$mockValue(realLog, (message: string) => {});
+
+// @ts-expect-error - Mock has a different type than the original value
+$imports.$mockValue(realLog, 42);
+
+$imports.$spy({ "./logger": ["log"] });
+
+// @ts-expect-error - Unknown export
+$imports.$spy({ "./logger": ["warn"] });
+
+const originalLevel: number = $imports.$original("./logger", "level");
+
+// @ts-expect-error - Unknown export
+$imports.$original("./logger", "warn");
+
+$imports.$restore();
+$imports.$restore({ "./logger": true });
+$imports.$restore({ "./logger": { log: true } });
+
+// @ts-expect-error - Unknown export
+$imports.$restore({ "./logger": { warn: true } });
+
+// Imports are untyped if no `Imports` type is given.
+const untyped = getImports("src/app.js");
+untyped.$mock({ "./anything": { anything: 1 } });
+
+const error: Error = new MockingError("message");
+
+try {
+  $imports.$mock({ "./logger": { log: () => {} } });
+} catch (err) {
+  if (err instanceof MockingError) {
+    const suggestion: string | null = err.suggestion;
+    const sources: string[] = err.availableSources;
+  }
+}
+
+export { result, error, originalLevel };